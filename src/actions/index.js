@@ -3,12 +3,23 @@
 import {getActionType, getTypesScope, scopeType} from './../types';
 import {applyTransformPipeline, buildTransformPipeline} from './transform';
 import {parseUrlParams} from './../helpers/url';
-import fetch, {buildFetchUrl, buildFetchOpts} from './../helpers/fetch';
-import {isFunction, pick, ucfirst, getPluralName} from './../helpers/util';
-import {defaultTransformResponsePipeline} from './../defaults';
+import fetch, {AbortError, buildFetchUrl, buildFetchOpts, isNetworkError, resolveUrlParam} from './../helpers/fetch';
+import {parsePagination} from './../helpers/pagination';
+import {isFunction, isObject, mapObject, pick, sortKeys, ucfirst, getPluralName} from './../helpers/util';
+import {createIdResolver, getContextId, getContextParams} from './../helpers/id';
+import {getParentId, getParentOpts, getParentState} from './../helpers/parent';
+import {getItems, getList, getListItems, getListKey} from './../reducers/items';
+import {getResourceState} from './../selectors';
+import {defaultGlobals, defaultTransformRequestPipeline, defaultTransformResponsePipeline} from './../defaults';
 
-const SUPPORTED_FETCH_OPTS = ['url', 'method', 'headers', 'credentials', 'query', 'body'];
-const SUPPORTED_REDUCE_OPTS = ['assignResponse', 'isArray'];
+const SUPPORTED_FETCH_OPTS = [
+  'url', 'params', 'method', 'headers', 'credentials', 'query', 'arrayFormat', 'body', 'retry', 'timeout', 'multipart',
+  'progress'
+];
+const SUPPORTED_REDUCE_OPTS = ['assignResponse', 'isArray', 'optimistic', 'byQuery'];
+
+let optimisticCount = 0;
+let outboxCount = 0;
 
 const getActionName = (actionId, {resourceName, resourcePluralName = getPluralName(resourceName), isArray = false} = {}) => (
   !resourceName
@@ -16,82 +27,566 @@ const getActionName = (actionId, {resourceName, resourcePluralName = getPluralNa
     : `${actionId}${ucfirst(isArray ? resourcePluralName : resourceName)}`
 );
 
-const createAction = (actionId, {resourceName, resourcePluralName = getPluralName(resourceName), scope, ...actionOpts}) => {
+// Shared requests must also be sent and reduced alike, hence the headers and reduce options
+const getRequestKey = (url, {method = 'GET', query = {}, headers = {}}, reduceOpts = {}) =>
+  `${method.toUpperCase()} ${url} ${JSON.stringify(sortKeys({query, headers, reduceOpts}))}`;
+
+const getCachedResponse = (resourceState, context, {isArray = false, maxAge = Infinity, listKey, cacheKey, getId}) => {
+  if (!resourceState) {
+    return null;
+  }
+  // Query-keyed lists hold their own metadata
+  if (listKey) {
+    const list = getList(resourceState, listKey);
+    if (!list || !list.lastUpdated) {
+      return null;
+    }
+    const body = getListItems(resourceState, listKey);
+    return {body, receivedAt: list.lastUpdated, isFresh: !list.didInvalidate && Date.now() - list.lastUpdated < maxAge};
+  }
+  const lastUpdated = isArray ? resourceState.lastUpdated : resourceState.lastUpdatedItem;
+  const didInvalidate = isArray ? resourceState.didInvalidate : resourceState.didInvalidateItem;
+  const body = isArray ? getItems(resourceState) : resourceState.item;
+  if (!lastUpdated || !body) {
+    return null;
+  }
+  // Lists must have been fetched with the same url params and query, by a cacheable request
+  if (isArray && resourceState.cacheKey !== cacheKey) {
+    return null;
+  }
+  // Single items must match the requested one
+  if (!isArray) {
+    const id = getContextId(context, getId);
+    if (id !== undefined && getId(body) !== id) {
+      return null;
+    }
+  }
+  return {body, receivedAt: lastUpdated, isFresh: !didInvalidate && Date.now() - lastUpdated < maxAge};
+};
+
+// Lists are keyed by the url params resolved from the context and the query, pages of a list share its key
+const getRequestListKey = (context, {url, params: paramDefaults, query = {}}, {pageParam} = {}) => {
+  const listQuery = {...query};
+  if (pageParam) {
+    delete listQuery[pageParam];
+  }
+  const params = isObject(context)
+    ? Object.keys(parseUrlParams(url)).reduce((soFar, key) => {
+      const value = resolveUrlParam(context, key, paramDefaults);
+      if (value !== undefined) {
+        soFar[key] = value;
+      }
+      return soFar;
+    }, {})
+    : {};
+  return getListKey({params, query: listQuery});
+};
+
+// Support dynamic fetch options
+// Array contexts (eg. bulk actions) also provide their ids
+const resolveFetchOpts = (fetchOpts, {actionId, context, getId}, getState) => {
+  const ids = Array.isArray(context) ? context.map(item => getContextId(item, getId)) : undefined;
+  const resolveFetchOpt = value => (isFunction(value) ? value(getState, {actionId, context, ids}) : value);
+  const resolvedFetchOpts = mapObject(fetchOpts, resolveFetchOpt);
+  // Url params defaults can also be resolved one by one
+  if (resolvedFetchOpts.params) {
+    resolvedFetchOpts.params = mapObject(resolvedFetchOpts.params, resolveFetchOpt);
+  }
+  return resolvedFetchOpts;
+};
+
+// Only transport failures are queued, timed out requests may have reached the server
+// hence are only queued when they can be safely sent again
+const isOfflineError = (err, method) =>
+  isNetworkError(err) || (err.name === 'TimeoutError' && /^(PUT|DELETE)$/i.test(method));
+
+// Outbox entries are kept in the state, hence only hold serializable options
+const getOutboxOpts = contextOpts =>
+  Object.keys(contextOpts).reduce((soFar, key) => {
+    const value = contextOpts[key];
+    if ([...SUPPORTED_FETCH_OPTS, ...SUPPORTED_REDUCE_OPTS].includes(key) && value !== undefined && !isFunction(value)) {
+      soFar[key] = value;
+    }
+    return soFar;
+  }, {});
+
+const listenToSignal = (signal, abort) => {
+  if (!signal) {
+    return;
+  }
+  if (signal.aborted) {
+    abort();
+  } else {
+    signal.addEventListener('abort', abort);
+  }
+};
+
+// Callers sharing a deduplicated request get their own promise to abort,
+// the actual request is only aborted once every one of them did
+const subscribeRequest = (sharedRequest, signal) => {
+  const {Promise} = defaultGlobals;
+  let isAborted = false;
+  let rejectAbortion;
+  const abortion = new Promise((resolve, reject) => {
+    rejectAbortion = reject;
+  });
+  const subscription = Promise.race([sharedRequest.request, abortion]);
+  sharedRequest.subscribers += 1;
+  subscription.abort = () => {
+    if (isAborted) {
+      return;
+    }
+    isAborted = true;
+    rejectAbortion(new AbortError());
+    sharedRequest.subscribers -= 1;
+    if (!sharedRequest.subscribers) {
+      sharedRequest.request.abort();
+    }
+  };
+  listenToSignal(signal, subscription.abort);
+  return subscription;
+};
+
+const getPaginationOpts = pagination =>
+  (pagination === true ? {} : pagination);
+
+// Parent ids are either found in the context or resolved from the `defaultValue` option
+const resolveParentId = (context, parentOpts, getState, {actionId}) => {
+  const parentId = getParentId(context, parentOpts);
+  if (parentId !== undefined || parentOpts.defaultValue === undefined) {
+    return parentId;
+  }
+  const {defaultValue} = parentOpts;
+  return isFunction(defaultValue) ? defaultValue(getState, {actionId}) : defaultValue;
+};
+
+// Sub-resources read their data from the state of the relevant parent
+const getScopedState = (state, {statePath, parentOpts, parentId}) => {
+  const resourceState = getResourceState(state, statePath);
+  return parentOpts ? getParentState(resourceState, parentId) : resourceState;
+};
+
+const createAction = (actionId, {
+  resourceName,
+  resourcePluralName = getPluralName(resourceName),
+  actionName = getActionName(actionId, {resourceName, resourcePluralName}),
+  scope,
+  statePath,
+  idKey = 'id',
+  parent,
+  ...actionOpts
+}) => {
   const type = scopeType(getActionType(actionId), scope);
+  const getId = createIdResolver(idKey);
+  const parentOpts = parent ? getParentOpts(parent) : null;
+  // Keep track of in-flight requests to support concurrency modes and deduplication
+  let inflightRequests = [];
+  const inflightRequestsByKey = {};
   // Actual action function with two args
   // Context usage changes with resolved method:
   // - GET/DELETE will be used to resolve query params (eg. /users/:id)
   // - POST/PATCH will be used to resolve query params (eg. /users/:id) and as request body
-  return (context, contextOpts = {}) => (dispatch, getState) => {
-    // First dispatch a pending action
-    dispatch({type, status: 'pending', context});
-    // Prepare fetch options
-    const fetchOpts = {
-      ...pick(actionOpts, ...SUPPORTED_FETCH_OPTS),
-      ...pick(contextOpts, ...SUPPORTED_FETCH_OPTS)
-    };
-    // Support dynamic fetch options
-    const resolvedfetchOpts = Object.keys(fetchOpts).reduce((soFar, key) => {
-      soFar[key] = isFunction(fetchOpts[key]) ? fetchOpts[key](getState, {actionId}) : fetchOpts[key];
-      return soFar;
-    }, {});
-    const {url, ...eligibleFetchOptions} = resolvedfetchOpts;
+  const sendRequest = (context, contextOpts, {resolvedFetchOpts, listKey, cacheKey, parentId}, dispatch, getState) => {
+    const {Promise, AbortController} = defaultGlobals;
+    const concurrency = contextOpts.concurrency || actionOpts.concurrency;
+    const offline = contextOpts.offline !== undefined ? contextOpts.offline : actionOpts.offline;
+    // Replayed outbox entries carry their original optimistic changes
+    const {outboxEntry} = contextOpts;
+    const paginationOpts = getPaginationOpts(contextOpts.pagination || actionOpts.pagination);
+    const {url, params, progress: trackProgress, ...eligibleFetchOptions} = resolvedFetchOpts;
+    // Support request cancellation, the actual fetch is also aborted when supported by the environment
+    const controller = AbortController ? new AbortController() : null;
+    const signal = controller ? controller.signal : undefined;
     // Build fetch url and options
     const urlParams = parseUrlParams(url);
-    const finalFetchUrl = buildFetchUrl(context, {url, urlParams});
-    const finalFetchOpts = buildFetchOpts(context, eligibleFetchOptions);
-    // Prepare reduce options
-    const reduceOpts = {
-      ...pick(actionOpts, ...SUPPORTED_REDUCE_OPTS),
-      ...pick(contextOpts, ...SUPPORTED_REDUCE_OPTS)
+    const urlContext = parentOpts ? {...getContextParams(context, idKey), [parentOpts.param]: parentId} : context;
+    const finalFetchUrl = buildFetchUrl(urlContext, {url, urlParams, idKey, params});
+    let finalFetchOpts;
+    try {
+      finalFetchOpts = buildFetchOpts(context, {...eligibleFetchOptions, signal});
+    } catch (err) {
+      // Eg. multipart bodies without any FormData support
+      const request = Promise.reject(err);
+      request.abort = () => {};
+      return request;
+    }
+    // Share identical in-flight GET requests, unless a concurrency mode is used
+    const dedupe = contextOpts.dedupe !== undefined ? contextOpts.dedupe : actionOpts.dedupe !== false;
+    const requestKey = dedupe && !concurrency && /^(GET|HEAD)$/i.test(finalFetchOpts.method || 'GET')
+      ? getRequestKey(finalFetchUrl, finalFetchOpts, {
+        ...pick(actionOpts, ...SUPPORTED_REDUCE_OPTS),
+        ...pick(contextOpts, ...SUPPORTED_REDUCE_OPTS),
+        listKey,
+        pagination: paginationOpts,
+        pageDirection: contextOpts.pageDirection
+      })
+      : null;
+    if (requestKey && inflightRequestsByKey[requestKey]) {
+      return subscribeRequest(inflightRequestsByKey[requestKey], contextOpts.signal);
+    }
+    // Only keep the first in-flight request
+    if (concurrency === 'takeFirst' && inflightRequests.length) {
+      return inflightRequests[0];
+    }
+    // Only keep the latest request
+    if (concurrency === 'takeLatest') {
+      inflightRequests.forEach(request => request.abort());
+    }
+    let isAborted = false;
+    let dispatchCancelled = null;
+    let rejectAbortion;
+    const abortion = new Promise((resolve, reject) => {
+      rejectAbortion = reject;
+    });
+    abortion.catch(() => {}); // Aborting a queued request would otherwise go unhandled
+    const abort = () => {
+      if (isAborted) {
+        return;
+      }
+      isAborted = true;
+      rejectAbortion(new AbortError());
+      if (controller) {
+        controller.abort();
+      }
+      // Let reducers know right away, before a superseding request gets dispatched
+      if (dispatchCancelled) {
+        dispatchCancelled();
+      }
     };
-    return fetch(finalFetchUrl, finalFetchOpts)
-      .then(applyTransformPipeline(buildTransformPipeline(defaultTransformResponsePipeline, actionOpts.transformResponse)))
-      .then(payload => dispatch({type, status: 'resolved', context, options: reduceOpts, receivedAt: Date.now(), ...payload}))
-      .catch((err) => {
-        // Catch HttpErrors
-        if (err.statusCode) {
-          dispatch({
-            type,
-            status: 'rejected',
-            code: err.statusCode,
-            body: err.body,
-            context,
-            options: reduceOpts,
-            receivedAt: Date.now()
-          });
-        // Catch regular Errors
-        } else {
-          dispatch({
+    // Shared requests are aborted through their subscriptions
+    if (!requestKey) {
+      listenToSignal(contextOpts.signal, abort);
+    }
+    const performRequest = () => {
+      if (isAborted) {
+        return Promise.reject(new AbortError());
+      }
+      // Offline mutations are applied optimistically, replayed ones were queued hence remain so
+      const isQueueable = (!!offline || !!outboxEntry) && !/^(GET|HEAD)$/i.test(finalFetchOpts.method || 'GET');
+      // Prepare reduce options
+      const reduceOpts = {
+        ...pick(actionOpts, ...SUPPORTED_REDUCE_OPTS),
+        ...pick(contextOpts, ...SUPPORTED_REDUCE_OPTS),
+        ...(isQueueable ? {optimistic: true} : {})
+      };
+      // Optimistic actions are tracked across their lifecycle to be able to rollback changes
+      const meta = {};
+      if (outboxEntry) {
+        meta.optimisticId = outboxEntry.optimisticId;
+        meta.outboxId = outboxEntry.id;
+      } else if (reduceOpts.optimistic) {
+        // Timestamped to remain unique across sessions, as queued ones may be persisted
+        optimisticCount += 1;
+        meta.optimisticId = `@@optimistic/${Date.now()}-${optimisticCount}`;
+      }
+      if (listKey) {
+        meta.listKey = listKey;
+      }
+      if (parentOpts) {
+        meta.parentId = parentId;
+      }
+      // First dispatch a pending action, replays were already applied
+      if (!outboxEntry) {
+        dispatch({type, status: 'pending', context, ...meta});
+      }
+      let isSettled = false;
+      dispatchCancelled = () => {
+        if (isSettled) {
+          return;
+        }
+        isSettled = true;
+        dispatch({
+          type,
+          status: 'cancelled',
+          context,
+          options: reduceOpts,
+          receivedAt: Date.now(),
+          ...meta
+        });
+      };
+      const transformRequestPipeline = buildTransformPipeline(defaultTransformRequestPipeline, actionOpts.transformRequest);
+      const transformResponsePipeline = buildTransformPipeline(defaultTransformResponsePipeline, actionOpts.transformResponse);
+      let rawResponse;
+      // Let the UI know about retry attempts
+      const onRetry = ({attempt, retries, delay, err}) => {
+        if (isAborted) {
+          return;
+        }
+        dispatch({type, status: 'retrying', context, attempt, retries, delay, code: err.statusCode, ...meta});
+      };
+      // Let the UI know about upload progress
+      const onUploadProgress = ({loaded, total}) => {
+        if (isAborted) {
+          return;
+        }
+        const progress = total ? loaded / total : undefined;
+        dispatch({type, status: 'progress', context, loaded, total, progress, ...meta});
+      };
+      // Request transforms may short-circuit the network with a synthetic response
+      const sendFetch = ({url: requestUrl, options: requestOptions, response: syntheticResponse}) =>
+        syntheticResponse || fetch(requestUrl, {
+          ...requestOptions,
+          onRetry,
+          isAborted: () => isAborted,
+          ...(trackProgress ? {onUploadProgress} : {})
+        });
+      const fetchRequest = {url: finalFetchUrl, options: finalFetchOpts, context, getState};
+      const response = applyTransformPipeline(transformRequestPipeline)(fetchRequest)
+        .then(sendFetch)
+        .then((res) => {
+          rawResponse = res;
+          return res;
+        })
+        .then(applyTransformPipeline(transformResponsePipeline))
+        .then((payload) => {
+          if (!paginationOpts) {
+            return payload;
+          }
+          // Tell the reducer how to merge the received page
+          const {mode = 'append'} = paginationOpts;
+          const {pageDirection} = contextOpts;
+          const merge = mode === 'append' && pageDirection ? {next: 'append', previous: 'prepend'}[pageDirection] : 'replace';
+          // Appended pages follow the items received so far
+          const resourceState = merge === 'append' ? getScopedState(getState(), {statePath, parentOpts, parentId}) : null;
+          const previousItems = resourceState && (listKey ? getListItems(resourceState, listKey) : getItems(resourceState));
+          const previousCount = previousItems ? previousItems.length : undefined;
+          // Then extract pagination metadata
+          const {body, pagination} = parsePagination(rawResponse, payload.body, {...paginationOpts, previousCount});
+          return {...payload, body, pagination: {...pagination, merge}};
+        });
+      return Promise.race([response, abortion])
+        .then((payload) => {
+          isSettled = true;
+          return dispatch({
             type,
-            status: 'rejected',
-            err,
+            status: 'resolved',
             context,
             options: reduceOpts,
-            receivedAt: Date.now()
+            receivedAt: Date.now(),
+            ...(cacheKey ? {cacheKey} : {}),
+            ...meta,
+            ...payload
           });
-        }
-        throw err;
-      });
+        })
+        .catch((err) => {
+          // Catch aborted requests, unless already reported
+          if (err.name === 'AbortError') {
+            dispatchCancelled();
+            throw err;
+          }
+          isSettled = true;
+          // Queue offline mutations, failed replays keep their entry until the network is back
+          if (isQueueable && isOfflineError(err, finalFetchOpts.method)) {
+            if (outboxEntry) {
+              throw err;
+            }
+            outboxCount += 1;
+            const queuedAt = Date.now();
+            return dispatch({
+              type,
+              status: 'queued',
+              context,
+              options: reduceOpts,
+              outboxEntry: {
+                id: `@@outbox/${queuedAt}-${outboxCount}`,
+                actionName,
+                context,
+                options: getOutboxOpts(contextOpts),
+                ...(parentOpts ? {parentId} : {}),
+                optimisticId: meta.optimisticId,
+                queuedAt
+              },
+              ...meta
+            });
+          }
+          // Catch timed out requests
+          if (err.name === 'TimeoutError') {
+            dispatch({
+              type,
+              status: 'rejected',
+              err,
+              isTimeout: true,
+              context,
+              options: reduceOpts,
+              receivedAt: Date.now(),
+              ...meta
+            });
+          // Catch HttpErrors
+          } else if (err.statusCode) {
+            dispatch({
+              type,
+              status: 'rejected',
+              code: err.statusCode,
+              body: err.body,
+              context,
+              options: reduceOpts,
+              receivedAt: Date.now(),
+              ...meta
+            });
+          // Catch regular Errors
+          } else {
+            dispatch({
+              type,
+              status: 'rejected',
+              err,
+              context,
+              options: reduceOpts,
+              receivedAt: Date.now(),
+              ...meta
+            });
+          }
+          throw err;
+        });
+    };
+    // Queued requests wait for the previous one to settle
+    const previousRequest = concurrency === 'queue' ? inflightRequests[inflightRequests.length - 1] : null;
+    const request = previousRequest ? previousRequest.then(performRequest, performRequest) : performRequest();
+    request.abort = abort;
+    inflightRequests = [...inflightRequests, request];
+    if (requestKey) {
+      inflightRequestsByKey[requestKey] = {request, subscribers: 0};
+    }
+    const release = () => {
+      inflightRequests = inflightRequests.filter(inflightRequest => inflightRequest !== request);
+      if (requestKey) {
+        delete inflightRequestsByKey[requestKey];
+      }
+    };
+    request.then(release, release);
+    return requestKey ? subscribeRequest(inflightRequestsByKey[requestKey], contextOpts.signal) : request;
+  };
+  return (context, contextOpts = {}) => (dispatch, getState) => {
+    const {Promise} = defaultGlobals;
+    // Prepare fetch options
+    const fetchOpts = {
+      ...pick(actionOpts, ...SUPPORTED_FETCH_OPTS),
+      ...pick(contextOpts, ...SUPPORTED_FETCH_OPTS)
+    };
+    const resolvedFetchOpts = resolveFetchOpts(fetchOpts, {actionId, context, getId}, getState);
+    // Empty selections of bulk mutations are not sent, as the bare collection url could target every item
+    if (Array.isArray(context) && !context.length && !/^(GET|HEAD)$/i.test(resolvedFetchOpts.method || 'GET')) {
+      const request = Promise.resolve({type, status: 'resolved', context, body: null, receivedAt: Date.now()});
+      request.abort = () => {};
+      return request;
+    }
+    // Store lists under a key built from the url params and the query, page actions provide the one of their list
+    const isArray = contextOpts.isArray !== undefined ? contextOpts.isArray : actionOpts.isArray;
+    const byQuery = contextOpts.byQuery !== undefined ? contextOpts.byQuery : actionOpts.byQuery;
+    const cachePolicy = contextOpts.cachePolicy || actionOpts.cachePolicy || 'network-only';
+    const isCacheable = cachePolicy !== 'network-only' && /^GET$/i.test(resolvedFetchOpts.method || 'GET');
+    const {pageParam = 'page'} = getPaginationOpts(contextOpts.pagination || actionOpts.pagination) || {};
+    const requestListKey = isArray && (byQuery || isCacheable)
+      ? contextOpts.listKey || getRequestListKey(context, resolvedFetchOpts, {pageParam})
+      : undefined;
+    const listKey = byQuery ? requestListKey : undefined;
+    // Otherwise cacheable requests keep their key along the single list, to only be served the same one
+    const cacheKey = !byQuery ? requestListKey : undefined;
+    // Sub-resources require their parent id, replayed outbox entries hold the resolved one
+    const {outboxEntry} = contextOpts;
+    let parentId;
+    if (parentOpts) {
+      parentId = outboxEntry ? outboxEntry.parentId : resolveParentId(context, parentOpts, getState, {actionId});
+    }
+    if (parentOpts && (parentId === undefined || parentId === null)) {
+      const request = Promise.reject(new Error(`Missing parent param "${parentOpts.param}"`));
+      request.abort = () => {};
+      return request;
+    }
+    const requestOpts = {resolvedFetchOpts, listKey, cacheKey, parentId};
+    // Eventually serve data already in the store
+    const resourceState = isCacheable ? getScopedState(getState(), {statePath, parentOpts, parentId}) : null;
+    const cachedResponse = isCacheable ? getCachedResponse(resourceState, context, {
+      isArray,
+      maxAge: contextOpts.maxAge !== undefined ? contextOpts.maxAge : actionOpts.maxAge,
+      listKey,
+      cacheKey,
+      getId
+    }) : null;
+    if (!cachedResponse || (!cachedResponse.isFresh && cachePolicy !== 'stale-while-revalidate')) {
+      return sendRequest(context, contextOpts, requestOpts, dispatch, getState);
+    }
+    // Revalidate stale data in the background
+    const revalidation = !cachedResponse.isFresh ? sendRequest(context, contextOpts, requestOpts, dispatch, getState) : null;
+    if (revalidation) {
+      revalidation.catch(() => {});
+    }
+    const {body, receivedAt} = cachedResponse;
+    const parentMeta = parentOpts ? {parentId} : {};
+    const request = Promise.resolve({type, status: 'resolved', context, body, receivedAt, isCached: true, ...parentMeta});
+    request.abort = revalidation ? revalidation.abort : () => {};
+    return request;
+  };
+};
+
+const createPageAction = (actionFunc, pageDirection, {actionId, statePath, idKey = 'id', ...actionOpts}) => {
+  const {pageParam = 'page'} = getPaginationOpts(actionOpts.pagination);
+  const getId = createIdResolver(idKey);
+  const parentOpts = actionOpts.parent ? getParentOpts(actionOpts.parent) : null;
+  return (context, contextOpts = {}) => (dispatch, getState) => {
+    const {Promise} = defaultGlobals;
+    const parentId = parentOpts ? resolveParentId(context, parentOpts, getState, {actionId}) : undefined;
+    // Query-keyed lists track their own pages
+    const byQuery = contextOpts.byQuery !== undefined ? contextOpts.byQuery : actionOpts.byQuery;
+    const fetchOpts = {
+      ...pick(actionOpts, ...SUPPORTED_FETCH_OPTS),
+      ...pick(contextOpts, ...SUPPORTED_FETCH_OPTS)
+    };
+    const listKey = byQuery
+      ? getRequestListKey(context, resolveFetchOpts(fetchOpts, {actionId, context, getId}, getState), {pageParam})
+      : undefined;
+    const scopedState = getScopedState(getState(), {statePath, parentOpts, parentId});
+    const {page = 0, hasMore, pageLinks = {}} = (listKey ? getList(scopedState, listKey) : scopedState) || {};
+    const isNext = pageDirection === 'next';
+    const pageLink = isNext ? pageLinks.next : pageLinks.prev;
+    // Nothing to fetch beyond the boundaries
+    if (!pageLink && (isNext ? hasMore === false : page <= 1)) {
+      const request = Promise.resolve(null);
+      request.abort = () => {};
+      return request;
+    }
+    const pageOpts = pageLink
+      ? {url: pageLink}
+      : {query: {...contextOpts.query, [pageParam]: isNext ? page + 1 : page - 1}};
+    return dispatch(actionFunc(context, {...contextOpts, ...pageOpts, pageDirection, listKey}));
   };
 };
 
+const createInvalidateAction = (actionId, {scope}) => {
+  const type = scopeType(getActionType(actionId), scope);
+  return context => ({type, status: 'invalidated', context});
+};
+
 const createActions = (
   actions = {},
   {
     resourceName,
     resourcePluralName = getPluralName(resourceName),
     scope = getTypesScope(resourceName),
+    statePath = resourceName ? resourcePluralName : undefined,
     ...globalOpts
   } = {}
 ) => {
   const actionKeys = Object.keys(actions);
-  return actionKeys.reduce((actionFuncs, actionId) => {
+  const actionFuncs = actionKeys.reduce((soFar, actionId) => {
     const actionOpts = {...globalOpts, ...actions[actionId]};
     const actionName = getActionName(actionId, {resourceName, resourcePluralName, isArray: actionOpts.isArray});
-    actionFuncs[actionName] = createAction(actionId, {resourceName, resourcePluralName, scope, ...actionOpts});
-    return actionFuncs;
+    soFar[actionName] = createAction(actionId, {resourceName, resourcePluralName, actionName, scope, statePath, ...actionOpts});
+    // Generate page action creators for paginated actions (eg. fetchUsersNextPage, fetchUsersPreviousPage)
+    if (actionOpts.isArray && actionOpts.pagination) {
+      const pageOpts = {actionId, statePath, ...actionOpts};
+      soFar[`${actionName}NextPage`] = createPageAction(soFar[actionName], 'next', pageOpts);
+      soFar[`${actionName}PreviousPage`] = createPageAction(soFar[actionName], 'previous', pageOpts);
+    }
+    return soFar;
   }, {});
+  // Generate invalidation action creators for the default read actions (eg. invalidateUsers, invalidateUser)
+  if (resourceName) {
+    ['fetch', 'get'].filter(actionId => actions[actionId]).forEach((actionId) => {
+      const actionName = getActionName('invalidate', {resourceName, resourcePluralName, isArray: actionId === 'fetch'});
+      actionFuncs[actionName] = createInvalidateAction(actionId, {scope});
+    });
+  }
+  return actionFuncs;
 };
 
 export {getActionName, createActions};
@@ -1,43 +1,94 @@
-/* global fetch */
+/* global fetch, AbortController, FormData, Blob, URLSearchParams, XMLHttpRequest */
+
+import {decodeResponse, parseCsv, parseJson, parseText, parseXml} from './../helpers/decode';
 
 const defaultActions = {
   create: {method: 'POST', alias: 'save'},
   fetch: {method: 'GET', isArray: true},
   get: {method: 'GET'},
   update: {method: 'PATCH'},
+  replace: {method: 'PUT'},
   delete: {method: 'DELETE'}
 };
 
+// Bulk actions are opt-in, by declaring them in the `actions` option (eg. `{deleteMany: {}}`)
+const defaultBulkActions = {
+  createMany: {method: 'POST', isArray: true, gerundName: 'creatingMany'},
+  updateMany: {method: 'PATCH', isArray: true, gerundName: 'updatingMany'},
+  deleteMany: {
+    method: 'DELETE',
+    isArray: true,
+    gerundName: 'deletingMany',
+    query: (getState, {ids}) => ({ids}), // eg. `DELETE /users?ids=1,2`
+    arrayFormat: 'comma'
+  }
+};
+
 const defaultHeaders = {
   Accept: 'application/json',
   'Content-Type': 'application/json'
 };
 
+// Retries are disabled unless a number of `retries` is configured
+const defaultRetryOpts = {
+  retries: 0,
+  minDelay: 500,
+  maxDelay: 30000,
+  factor: 2,
+  jitter: true,
+  statusCodes: [408, 429, 500, 502, 503, 504],
+  methods: ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE']
+};
+
+// Request transforms receive and return `{url, options}`, eventually with a synthetic `response`
+const defaultTransformRequestPipeline = [];
+
+// Response decoders keyed by content type, supporting `type/*` wildcards
+const defaultDecoders = {
+  'application/json': res => res.text().then(parseJson),
+  'application/xml': res => res.text().then(parseXml),
+  'application/octet-stream': res => res.blob(),
+  'text/csv': res => res.text().then(parseCsv),
+  'text/xml': res => res.text().then(parseXml),
+  'text/*': res => res.text(),
+  'image/*': res => res.blob(),
+  '*/*': res => res.text().then(parseText)
+};
+
 const defaultTransformResponsePipeline = [
-  res => res.json().then(body => ({body, code: res.status}))
+  res => decodeResponse(res, defaultDecoders)
 ];
 
 const defaultState = {
   create: {
-    isCreating: false
+    isCreating: false,
+    createError: null
   },
   fetch: {
     items: [],
     isFetching: false,
     lastUpdated: 0,
-    didInvalidate: true
+    didInvalidate: true,
+    fetchError: null
   },
   get: {
     item: null,
     isFetchingItem: false,
     lastUpdatedItem: 0,
-    didInvalidateItem: true
+    didInvalidateItem: true,
+    getError: null
   },
   update: {
-    isUpdating: false
+    isUpdating: false,
+    updateError: null
+  },
+  replace: {
+    isReplacing: false,
+    replaceError: null
   },
   delete: {
-    isDeleting: false
+    isDeleting: false,
+    deleteError: null
   }
 };
 
@@ -45,13 +96,22 @@ const initialState = Object.keys(defaultState).reduce((soFar, key) => ({...soFar
 
 const defaultGlobals = {
   Promise,
-  fetch
+  fetch,
+  AbortController: typeof AbortController !== 'undefined' ? AbortController : undefined,
+  FormData: typeof FormData !== 'undefined' ? FormData : undefined,
+  Blob: typeof Blob !== 'undefined' ? Blob : undefined,
+  URLSearchParams: typeof URLSearchParams !== 'undefined' ? URLSearchParams : undefined,
+  XMLHttpRequest: typeof XMLHttpRequest !== 'undefined' ? XMLHttpRequest : undefined
 };
 
 export {
   defaultGlobals,
   defaultActions,
+  defaultBulkActions,
+  defaultDecoders,
   defaultHeaders,
+  defaultRetryOpts,
+  defaultTransformRequestPipeline,
   defaultTransformResponsePipeline,
   defaultState,
   initialState
@@ -0,0 +1,88 @@
+/* global DOMParser */
+
+export const getMimeType = contentType =>
+  String(contentType || '').split(';')[0].trim().toLowerCase();
+
+// Empty bodies are decoded as `null`
+export const parseJson = text =>
+  (text ? JSON.parse(text) : null);
+
+// Either JSON or raw text, when the content type is unknown
+export const parseText = (text) => {
+  if (!text) {
+    return null;
+  }
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    return text;
+  }
+};
+
+// Parses RFC 4180 CSV into an array of rows
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let isQuoted = false;
+  for (let index = 0; index < text.length; index += 1) {
+    const char = text[index];
+    if (isQuoted) {
+      if (char === '"' && text[index + 1] === '"') {
+        field += char;
+        index += 1;
+      } else if (char === '"') {
+        isQuoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      isQuoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[index + 1] === '\n') {
+        index += 1;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+};
+
+export const parseXml = text => (
+  typeof DOMParser !== 'undefined'
+    ? new DOMParser().parseFromString(text, 'application/xml')
+    : text
+);
+
+const isEmptyResponse = res =>
+  res.status === 204 || res.status === 205 || (res.headers && res.headers.get('Content-Length') === '0');
+
+// Lookup order: exact mime type, structured syntax suffix (eg. `+json`), type wildcard and then catch-all
+const findDecoder = (decoders, mimeType) => {
+  const [type] = mimeType.split('/');
+  const suffix = mimeType.includes('+') ? mimeType.split('+').pop() : null;
+  const candidates = [mimeType, suffix && `application/${suffix}`, `${type}/*`, '*/*'];
+  const match = candidates.find(candidate => candidate && decoders[candidate]);
+  return match ? decoders[match] : null;
+};
+
+export const decodeResponse = (res, decoders) => {
+  if (isEmptyResponse(res)) {
+    return {body: null, code: res.status};
+  }
+  const mimeType = getMimeType(res.headers ? res.headers.get('Content-Type') : '');
+  const decoder = findDecoder(decoders, mimeType) || (someRes => someRes.text().then(parseText));
+  return decoder(res).then(body => ({body, code: res.status}));
+};
@@ -1,15 +1,17 @@
-import {isObject, startsWith} from './util';
+import {getPath, isObject, startsWith} from './util';
 import {
+  appendQueryToUrl,
   encodeUriQuery,
   encodeUriSegment,
   replaceUrlParamFromUrl,
-  replaceQueryStringParamFromUrl,
   splitUrlByProtocolAndDomain
 } from './url';
-import {defaultGlobals, defaultHeaders} from './../defaults';
+import {parseText} from './decode';
+import {getContextParams} from './id';
+import {defaultGlobals, defaultHeaders, defaultRetryOpts} from './../defaults';
 
 export class HttpError extends Error {
-  constructor(statusCode = 500, {body, message = 'HttpError'}) {
+  constructor(statusCode = 500, {body, headers, message = 'HttpError'}) {
     super(message);
     this.name = this.constructor.name;
     this.message = message;
@@ -22,16 +24,53 @@ export class HttpError extends Error {
     this.statusCode = statusCode;
     this.status = statusCode;
     this.body = body;
+    this.headers = headers;
   }
 }
 
-export const buildFetchUrl = (context, {url, urlParams, stripTrailingSlashes = true}) => {
+export class AbortError extends Error {
+  constructor(message = 'The request has been aborted') {
+    super(message);
+    // Explicitly named as the constructor name is lost when extending builtins
+    this.name = 'AbortError';
+    this.message = message;
+    if (typeof Error.captureStackTrace === 'function') {
+      Error.captureStackTrace(this, this.constructor);
+    } else {
+      this.stack = (new Error(message)).stack;
+    }
+  }
+}
+
+export class TimeoutError extends HttpError {
+  constructor(timeout, {message = `The request has timed out after ${timeout}ms`} = {}) {
+    // Not an actual http response, hence the missing status code
+    super(null, {message});
+    // Explicitly named as the constructor name is lost when extending builtins
+    this.name = 'TimeoutError';
+    this.timeout = timeout;
+  }
+}
+
+// Url params are read from the context, then from the `params` defaults either holding a literal value
+// or a `@path.in.context` binding (eg. `{userId: '@id'}`)
+export const resolveUrlParam = (context, urlParam, params = {}) => {
+  if (context[urlParam]) {
+    return context[urlParam];
+  }
+  const defaultValue = params[urlParam];
+  return typeof defaultValue === 'string' && defaultValue.charAt(0) === '@'
+    ? getPath(context, defaultValue.substr(1))
+    : defaultValue;
+};
+
+export const buildFetchUrl = (context, {url, urlParams, idKey, params, stripTrailingSlashes = true}) => {
   const [protocolAndDomain, remainderUrl] = splitUrlByProtocolAndDomain(url);
+  const contextAsObject = getContextParams(context, idKey);
   // Replace urlParams with values from context
   let builtUrl = Object.keys(urlParams).reduce((wipUrl, urlParam) => {
     const urlParamInfo = urlParams[urlParam];
-    const contextAsObject = !isObject(context) ? {id: context} : context;
-    const value = contextAsObject[urlParam] || ''; // self.defaults[urlParam];
+    const value = resolveUrlParam(contextAsObject, urlParam, params) || '';
     if (value) {
       const encodedValue = urlParamInfo.isQueryParamValue ? encodeUriQuery(value, true) : encodeUriSegment(value);
       return replaceUrlParamFromUrl(wipUrl, urlParam, encodedValue);
@@ -45,7 +84,44 @@ export const buildFetchUrl = (context, {url, urlParams, stripTrailingSlashes = t
   return protocolAndDomain + builtUrl;
 };
 
-export const buildFetchOpts = (context, {method, headers, credentials, query, body}) => {
+// Bodies natively supported by fetch, sent as-is with their own content type
+export const isNativeBody = body =>
+  ['FormData', 'Blob', 'URLSearchParams'].some(name => defaultGlobals[name] && body instanceof defaultGlobals[name]);
+
+export const buildFormData = (context) => {
+  if (!defaultGlobals.FormData) {
+    throw new TypeError('Multipart bodies require a FormData implementation, eg. set on `defaultGlobals`');
+  }
+  return Object.keys(context).reduce((formData, key) => {
+    const value = context[key];
+    const append = (someValue) => {
+      if (someValue === undefined || someValue === null) {
+        return;
+      }
+      const isBlob = defaultGlobals.Blob && someValue instanceof defaultGlobals.Blob;
+      formData.append(key, isObject(someValue) && !isBlob ? JSON.stringify(someValue) : someValue);
+    };
+    if (Array.isArray(value)) {
+      value.forEach(append);
+    } else {
+      append(value);
+    }
+    return formData;
+  }, new defaultGlobals.FormData());
+};
+
+export const buildFetchOpts = (context, {
+  method,
+  headers,
+  credentials,
+  query,
+  arrayFormat,
+  body,
+  signal,
+  retry,
+  timeout,
+  multipart
+}) => {
   const opts = {
     headers: defaultHeaders
   };
@@ -61,34 +137,219 @@ export const buildFetchOpts = (context, {method, headers, credentials, query, bo
   if (query) {
     opts.query = query;
   }
+  if (arrayFormat) {
+    opts.arrayFormat = arrayFormat;
+  }
+  if (signal) {
+    opts.signal = signal;
+  }
+  if (retry) {
+    opts.retry = retry;
+  }
+  if (timeout) {
+    opts.timeout = timeout;
+  }
   const hasBody = /^(POST|PUT|PATCH)$/i.test(opts.method);
   if (hasBody) {
     if (body) {
       opts.body = body;
+    } else if (isNativeBody(context)) {
+      opts.body = context;
     } else if (context) {
-      opts.body = JSON.stringify(context);
+      opts.body = multipart ? buildFormData(context) : JSON.stringify(context);
     }
   }
+  // Let fetch set the proper content type (eg. with the multipart boundary)
+  if (isNativeBody(opts.body)) {
+    opts.headers = Object.keys(opts.headers).reduce((soFar, key) => {
+      if (key.toLowerCase() !== 'content-type') {
+        soFar[key] = opts.headers[key];
+      }
+      return soFar;
+    }, {});
+  }
   return opts;
 };
 
+// Supports both delay-seconds and http-date values
+export const parseRetryAfter = (header) => {
+  if (!header) {
+    return null;
+  }
+  const seconds = Number(header);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+// Exponential backoff, with an "equal jitter" to spread concurrent retries
+export const getRetryDelay = (attempt, {minDelay, maxDelay, factor, jitter}) => {
+  const delay = Math.min(maxDelay, minDelay * (factor ** attempt));
+  return jitter ? (delay / 2) + (Math.random() * (delay / 2)) : delay;
+};
+
+export const getRetryOpts = retry =>
+  ({...defaultRetryOpts, ...(isObject(retry) ? retry : {retries: Number(retry) || 0})});
+
+// Transport failures happen before any response exists (eg. offline, DNS or CORS errors)
+export const isNetworkError = err =>
+  !!err && err.isNetworkError === true;
+
+const shouldRetry = (err, {method = 'GET'}, {statusCodes, methods}) => {
+  if (err.name === 'AbortError' || !methods.includes(method.toUpperCase())) {
+    return false;
+  }
+  // Network errors do not have any status code
+  return !err.statusCode || statusCodes.includes(err.statusCode);
+};
+
+const parseXhrHeaders = rawHeaders =>
+  String(rawHeaders || '').trim().split(/[\r\n]+/).reduce((soFar, line) => {
+    const index = line.indexOf(':');
+    if (index > 0) {
+      soFar[line.slice(0, index).trim().toLowerCase()] = line.slice(index + 1).trim();
+    }
+    return soFar;
+  }, {});
+
+// Fetch does not report upload progress, hence this minimal XMLHttpRequest based transport
+export const xhrFetch = (url, {method = 'GET', headers = {}, body, credentials, signal, onUploadProgress}) =>
+  new defaultGlobals.Promise((resolve, reject) => {
+    const xhr = new defaultGlobals.XMLHttpRequest();
+    xhr.open(method, url, true);
+    Object.keys(headers).forEach((key) => {
+      xhr.setRequestHeader(key, headers[key]);
+    });
+    xhr.withCredentials = credentials === 'include';
+    if (onUploadProgress && xhr.upload) {
+      xhr.upload.onprogress = (event) => {
+        onUploadProgress({loaded: event.loaded, total: event.lengthComputable ? event.total : undefined});
+      };
+    }
+    xhr.onload = () => {
+      const responseHeaders = parseXhrHeaders(xhr.getAllResponseHeaders());
+      const {responseText} = xhr;
+      resolve({
+        ok: xhr.status >= 200 && xhr.status < 300,
+        status: xhr.status,
+        statusText: xhr.statusText,
+        url: xhr.responseURL || url,
+        headers: {get: name => responseHeaders[String(name).toLowerCase()] || null},
+        text: () => defaultGlobals.Promise.resolve(responseText),
+        json: () => defaultGlobals.Promise.resolve(responseText).then(JSON.parse)
+      });
+    };
+    xhr.onerror = () => reject(new TypeError('Network request failed'));
+    xhr.onabort = () => reject(new AbortError());
+    if (signal) {
+      signal.addEventListener('abort', () => xhr.abort());
+    }
+    xhr.send(body);
+  });
+
 const fetch = (url, options = {}) => {
+  const {retry, onRetry, onUploadProgress, timeout, arrayFormat, isAborted: isAbortRequested, ...fetchOptions} = options;
+  const Promise = options.Promise || defaultGlobals.Promise;
   // Support options.query
-  const builtUrl = Object.keys(options.query || []).reduce((wipUrl, queryParam) => {
-    const queryParamValue = options.query[queryParam];
-    return replaceQueryStringParamFromUrl(wipUrl, queryParam, queryParamValue);
-  }, url);
-  return (options.Promise || defaultGlobals.Promise).resolve((defaultGlobals.fetch || fetch)(builtUrl, options))
+  const builtUrl = options.query ? appendQueryToUrl(url, options.query, {arrayFormat}) : url;
+  // Support options.onUploadProgress when uploading files
+  const trackUpload = onUploadProgress && defaultGlobals.XMLHttpRequest && isNativeBody(fetchOptions.body);
+  const transport = trackUpload
+    ? requestOptions => xhrFetch(builtUrl, {...requestOptions, onUploadProgress})
+    : requestOptions => (defaultGlobals.fetch || fetch)(builtUrl, requestOptions);
+  const performRequest = requestOptions => Promise.resolve(transport(requestOptions))
+    .catch((err) => {
+      if (err && err.name !== 'AbortError') {
+        err.isNetworkError = true;
+      }
+      throw err;
+    })
     .then((res) => {
       if (!res.ok) {
         const contentType = res.headers.get('Content-Type');
         const isJson = startsWith(contentType, 'application/json');
-        return res[isJson ? 'json' : 'text']().then((body) => {
-          throw new HttpError(res.status, {body});
+        return res.text().then((text) => {
+          throw new HttpError(res.status, {body: isJson ? parseText(text) : text, headers: res.headers});
         });
       }
       return res;
     });
+  // Support options.timeout, the actual fetch is also aborted when supported by the environment
+  const sendRequest = () => {
+    if (!timeout) {
+      return performRequest(fetchOptions);
+    }
+    const {AbortController} = defaultGlobals;
+    const controller = AbortController ? new AbortController() : null;
+    if (controller && options.signal) {
+      if (options.signal.aborted) {
+        controller.abort();
+      } else {
+        options.signal.addEventListener('abort', () => controller.abort());
+      }
+    }
+    let timer;
+    const expiration = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        reject(new TimeoutError(timeout));
+        if (controller) {
+          controller.abort();
+        }
+      }, timeout);
+    });
+    const requestOptions = controller ? {...fetchOptions, signal: controller.signal} : fetchOptions;
+    return Promise.race([performRequest(requestOptions), expiration])
+      .then((res) => {
+        clearTimeout(timer);
+        return res;
+      }, (err) => {
+        clearTimeout(timer);
+        throw err;
+      });
+  };
+  // Support options.retry, pending retries are dropped once the request gets aborted
+  // either through options.signal or options.isAborted, for environments without any AbortController
+  const retryOpts = getRetryOpts(retry);
+  const {signal} = options;
+  const isAborted = () => !!(signal && signal.aborted) || !!(isAbortRequested && isAbortRequested());
+  const waitForRetry = delay => new Promise((resolve, reject) => {
+    let timer;
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new AbortError());
+    };
+    timer = setTimeout(() => {
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+      resolve();
+    }, delay);
+    if (signal) {
+      signal.addEventListener('abort', onAbort);
+    }
+  });
+  const attemptRequest = attempt => sendRequest()
+    .catch((err) => {
+      if (attempt >= retryOpts.retries || isAborted() || !shouldRetry(err, options, retryOpts)) {
+        throw err;
+      }
+      const retryAfter = [429, 503].includes(err.statusCode) && err.headers
+        ? parseRetryAfter(err.headers.get('Retry-After'))
+        : null;
+      const delay = retryAfter !== null ? retryAfter : getRetryDelay(attempt, retryOpts);
+      if (onRetry) {
+        onRetry({attempt: attempt + 1, retries: retryOpts.retries, delay, err});
+      }
+      return waitForRetry(delay).then(() => {
+        if (isAborted()) {
+          throw new AbortError();
+        }
+        return attemptRequest(attempt + 1);
+      });
+    });
+  return attemptRequest(0);
 };
 
 export default fetch;
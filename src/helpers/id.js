@@ -0,0 +1,37 @@
+import {isFunction, isObject} from './util';
+
+// Items are identified using the `idKey` option, either a key name (eg. `'uuid'`), an array of keys
+// for composite identifiers (eg. `['tenantId', 'slug']`) or a function resolving the identifier of an item.
+export const createIdResolver = (idKey = 'id') => {
+  if (isFunction(idKey)) {
+    return idKey;
+  }
+  if (Array.isArray(idKey)) {
+    return (item) => {
+      const values = idKey.map(key => item[key]);
+      return values.some(value => value === undefined || value === null) ? undefined : JSON.stringify(values);
+    };
+  }
+  return item => item[idKey];
+};
+
+export const getDefaultId = createIdResolver();
+
+// Key holding scalar identifiers (eg. optimistic ones), composite and computed identifiers fallback to `id`
+export const getIdKeyName = idKey =>
+  (typeof idKey === 'string' ? idKey : 'id');
+
+// Contexts are either an object holding the identifier or the identifier itself
+export const getContextId = (context, getId = getDefaultId) => (
+  context && isObject(context) ? getId(context) : context
+);
+
+// Scalar contexts are mapped to the identifier key to resolve url params (eg. `/users/:id`)
+export const getContextParams = (context, idKey = 'id') => {
+  const key = getIdKeyName(idKey);
+  if (!context || !isObject(context)) {
+    return {id: context, [key]: context};
+  }
+  // Urls using the `:id` param still resolve with a custom key
+  return context.id === undefined && key !== 'id' ? {...context, id: context[key]} : context;
+};
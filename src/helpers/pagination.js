@@ -0,0 +1,100 @@
+import {getPath} from './util';
+
+const LINK_REGEX = /<([^>]+)>\s*;\s*rel="?([^";]+)"?/;
+const CONTENT_RANGE_REGEX = /^\s*(\w+)\s+(\d+)-(\d+)\/(\d+|\*)/;
+
+/**
+ * Parses a RFC 5988 `Link` header, eg. `<https://foo.com/users?page=2>; rel="next"`
+ */
+export const parseLinkHeader = header =>
+  (header ? String(header).split(',') : []).reduce((links, link) => {
+    const match = link.match(LINK_REGEX);
+    if (match) {
+      const [, url, rels] = match;
+      rels.split(/\s+/).forEach((rel) => {
+        links[rel] = url; // eslint-disable-line no-param-reassign
+      });
+    }
+    return links;
+  }, {});
+
+/**
+ * Parses a `Content-Range` header, eg. `items 0-24/319`
+ */
+export const parseContentRange = (header) => {
+  const match = header ? String(header).match(CONTENT_RANGE_REGEX) : null;
+  if (!match) {
+    return null;
+  }
+  const [, unit, start, end, total] = match;
+  return {unit, start: Number(start), end: Number(end), total: total === '*' ? undefined : Number(total)};
+};
+
+const getPageFromUrl = (url, pageParam) => {
+  const match = url ? String(url).match(new RegExp(`[?&]${pageParam}=(\\d+)`)) : null;
+  return match ? Number(match[1]) : undefined;
+};
+
+/**
+ * Compares the number of items received so far with the total count, either based on the given page size,
+ * on the previously received items (when appending pages) or by assuming that previous pages were full
+ */
+const getHasMore = (items, {page, totalCount, pageSize, previousCount}) => {
+  if (totalCount === undefined || !items.length) {
+    return false;
+  }
+  if (pageSize) {
+    return ((page - 1) * pageSize) + items.length < totalCount;
+  }
+  if (previousCount !== undefined) {
+    return previousCount + items.length < totalCount;
+  }
+  return page * items.length < totalCount;
+};
+
+const parseEnvelope = (res, body, {pageParam, envelope, pageSize, previousCount}) => {
+  const items = envelope.items ? getPath(body, envelope.items) : body;
+  const page = (envelope.page && getPath(body, envelope.page)) || getPageFromUrl(res.url, pageParam) || 1;
+  const totalCount = envelope.totalCount ? getPath(body, envelope.totalCount) : undefined;
+  const hasMore = envelope.hasMore
+    ? !!getPath(body, envelope.hasMore)
+    : getHasMore(items, {page, totalCount, pageSize, previousCount});
+  return {body: items, pagination: {page, totalCount, hasMore}};
+};
+
+const parseHeaders = (res, body, {pageParam, pageSize, previousCount}) => {
+  const headers = res.headers || {get: () => null};
+  const links = parseLinkHeader(headers.get('Link'));
+  const totalCountHeader = headers.get('X-Total-Count');
+  // RFC 5988 Link header
+  if (Object.keys(links).length) {
+    let page = getPageFromUrl(res.url, pageParam);
+    if (!page && links.next && getPageFromUrl(links.next, pageParam)) {
+      page = getPageFromUrl(links.next, pageParam) - 1;
+    } else if (!page && links.prev && getPageFromUrl(links.prev, pageParam)) {
+      page = getPageFromUrl(links.prev, pageParam) + 1;
+    }
+    const totalCount = totalCountHeader ? Number(totalCountHeader) : undefined;
+    return {body, pagination: {page: page || 1, totalCount, hasMore: !!links.next, links}};
+  }
+  // Content-Range header
+  const range = parseContentRange(headers.get('Content-Range'));
+  if (range) {
+    const rangeSize = (range.end - range.start) + 1;
+    const page = Math.floor(range.start / (pageSize || rangeSize)) + 1;
+    const hasMore = range.total !== undefined ? range.end + 1 < range.total : body.length === (pageSize || rangeSize);
+    return {body, pagination: {page, totalCount: range.total, hasMore}};
+  }
+  const page = getPageFromUrl(res.url, pageParam) || 1;
+  const totalCount = totalCountHeader ? Number(totalCountHeader) : undefined;
+  return {body, pagination: {page, totalCount, hasMore: getHasMore(body, {page, totalCount, pageSize, previousCount})}};
+};
+
+/**
+ * Extracts pagination metadata from either a body envelope (when configured) or the response headers
+ */
+export const parsePagination = (res, body, {pageParam = 'page', envelope, pageSize, previousCount} = {}) => (
+  envelope
+    ? parseEnvelope(res, body, {pageParam, envelope, pageSize, previousCount})
+    : parseHeaders(res, body, {pageParam, pageSize, previousCount})
+);
@@ -0,0 +1,16 @@
+import {isObject} from './util';
+
+// Sub-resources are scoped by a parent url param (eg. `userId` for `/users/:userId/posts/:id`),
+// either given as a string or as an object with an eventual `defaultValue`.
+export const getParentOpts = parent =>
+  (isObject(parent) ? parent : {param: parent});
+
+export const getParentId = (context, {param}) =>
+  (context && isObject(context) ? context[param] : undefined);
+
+// Actions carry the resolved parent id, externally dispatched ones fallback to their context
+export const getActionParentId = (action, parentOpts) =>
+  (action.parentId !== undefined ? action.parentId : getParentId(action.context, parentOpts));
+
+export const getParentState = (resourceState, parentId) =>
+  (resourceState && resourceState.byParent ? resourceState.byParent[parentId] : undefined);
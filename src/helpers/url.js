@@ -41,12 +41,55 @@ export const replaceUrlParamFromUrl = (url, urlParam, replace = '') =>
   url.replace(new RegExp(`(/?):${urlParam}(\\W|$)`, 'g'), (match, leadingSlashes, tail) =>
     (replace || tail.charAt(0) === '/' ? leadingSlashes : '') + replace + tail);
 
-export const replaceQueryStringParamFromUrl = (url, key, value) => {
-  const re = new RegExp(`([?&])${key}=.*?(&|$)`, 'i');
-  const sep = url.indexOf('?') !== -1 ? '&' : '?';
-  return url.match(re)
-    ? url.replace(re, `$1${key}=${value}$2`)
-    : `${url}${sep}${key}=${value}`;
+// Array values are either serialized as `key[]=a&key[]=b`, `key=a&key=b`, `key[0]=a&key[1]=b` or `key=a,b`
+const ARRAY_KEY_FORMATS = {
+  brackets: key => `${key}[]`,
+  repeat: key => key,
+  indices: (key, index) => `${key}[${index}]`
+};
+
+const isNil = value =>
+  value === undefined || value === null;
+
+const serializeQueryValue = value =>
+  encodeUriQuery(value instanceof Date ? value.toISOString() : value);
+
+const serializeQueryParam = (key, value, arrayFormat) => {
+  if (isNil(value)) {
+    return [];
+  }
+  if (Array.isArray(value)) {
+    const values = value.filter(item => !isNil(item));
+    const hasObjects = values.some(item => typeof item === 'object' && !(item instanceof Date));
+    if (arrayFormat === 'comma' && !hasObjects) {
+      return values.length ? [`${key}=${values.map(serializeQueryValue).join(',')}`] : [];
+    }
+    // Nested objects need indices to keep their properties together
+    const getArrayKey = hasObjects ? ARRAY_KEY_FORMATS.indices : ARRAY_KEY_FORMATS[arrayFormat];
+    if (!getArrayKey) {
+      throw new Error(`Unsupported arrayFormat "${arrayFormat}"`);
+    }
+    return values.reduce((soFar, item, index) =>
+      soFar.concat(serializeQueryParam(getArrayKey(key, index), item, arrayFormat)), []);
+  }
+  if (typeof value === 'object' && !(value instanceof Date)) {
+    return Object.keys(value).reduce((soFar, childKey) =>
+      soFar.concat(serializeQueryParam(`${key}[${encodeUriQuery(childKey)}]`, value[childKey], arrayFormat)), []);
+  }
+  return [`${key}=${serializeQueryValue(value)}`];
+};
+
+export const serializeQuery = (query = {}, {arrayFormat = 'brackets'} = {}) =>
+  Object.keys(query).reduce((soFar, key) =>
+    soFar.concat(serializeQueryParam(encodeUriQuery(key), query[key], arrayFormat)), []).join('&');
+
+// Serialized params override the ones already present in the url
+export const appendQueryToUrl = (url, query, queryOpts) => {
+  const [path, search = ''] = url.split('?');
+  const keys = Object.keys(query || {}).map(key => encodeUriQuery(key));
+  const params = search.split('&').filter(param => param && keys.indexOf(param.split('=')[0].replace(/\[.*$/, '')) === -1);
+  const queryString = [...params, serializeQuery(query, queryOpts)].filter(Boolean).join('&');
+  return queryString ? `${path}?${queryString}` : path;
 };
 
 export const splitUrlByProtocolAndDomain = (url) => {
@@ -16,12 +16,38 @@ export const pick = (obj, ...keys) =>
     return soFar;
   }, {});
 
+export const getPath = (object, path) =>
+  String(path).split('.').reduce((soFar, key) => (soFar !== null && soFar !== undefined ? soFar[key] : undefined), object);
+
+export const sortKeys = value => (
+  value && isObject(value) && !Array.isArray(value)
+    ? Object.keys(value).sort().reduce((soFar, key) => {
+      soFar[key] = sortKeys(value[key]); // eslint-disable-line no-param-reassign
+      return soFar;
+    }, {})
+    : value
+);
+
 export const mapObject = (object, func) =>
   Object.keys(object).reduce((soFar, key) => {
     soFar[key] = func(object[key]); // eslint-disable-line no-param-reassign
     return soFar;
   }, {});
 
+// Returns the last result as long as the arguments are strictly equal
+export const memoize = (func) => {
+  let lastArgs;
+  let lastResult;
+  return (...args) => {
+    if (lastArgs && args.length === lastArgs.length && args.every((arg, index) => arg === lastArgs[index])) {
+      return lastResult;
+    }
+    lastArgs = args;
+    lastResult = func(...args);
+    return lastResult;
+  };
+};
+
 export const mergeObjects = (object, ...sources) => {
   const {concat} = Array.prototype;
   const uniqueKeys = concat.apply(Object.keys(object), sources.map(Object.keys))
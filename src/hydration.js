@@ -0,0 +1,78 @@
+import {getInitialState} from './reducers';
+import {getOutbox} from './reducers/outbox';
+import {mapObject, pick} from './helpers/util';
+
+// In-flight flags (eg. `isFetching`, `isUpdating`), mutations waiting in the outbox stay flagged as queued
+const isInFlightFlag = (key, value) =>
+  typeof value === 'boolean' && /^is[A-Z]/.test(key) && key !== 'isQueued';
+
+const resetFlags = object =>
+  Object.keys(object).reduce((soFar, key) => {
+    soFar[key] = isInFlightFlag(key, object[key]) ? false : object[key];
+    return soFar;
+  }, {});
+
+// In-flight optimistic changes won't ever settle, hence are rolled back unless queued in the outbox
+const rollbackSnapshots = (state, resourceState, reducer, meta) => {
+  const {optimisticSnapshots = {}} = resourceState;
+  const queuedIds = getOutbox(resourceState).map(entry => entry.optimisticId);
+  return Object.keys(optimisticSnapshots)
+    .filter(optimisticId => !queuedIds.includes(optimisticId) && optimisticSnapshots[optimisticId].actionType)
+    .reduce((soFar, optimisticId) => reducer(soFar, {
+      type: optimisticSnapshots[optimisticId].actionType,
+      status: 'cancelled',
+      optimisticId,
+      ...meta
+    }), state);
+};
+
+const rollbackState = (state, reducer) => {
+  if (!reducer) {
+    return state;
+  }
+  if (!state.byParent) {
+    return rollbackSnapshots(state, state, reducer, {});
+  }
+  return Object.keys(state.byParent).reduce((soFar, parentId) =>
+    rollbackSnapshots(soFar, soFar.byParent[parentId] || {}, reducer, {parentId}), state);
+};
+
+// Only the snapshots of queued mutations remain relevant, to rollback their eventual rejected replay
+const cleanState = (state) => {
+  const {optimisticSnapshots, lists, statusById, byParent, ...otherState} = state;
+  const outboxSnapshots = pick(optimisticSnapshots || {}, ...getOutbox(state).map(entry => entry.optimisticId));
+  return {
+    ...resetFlags(otherState),
+    ...(optimisticSnapshots ? {optimisticSnapshots: outboxSnapshots} : {}),
+    ...(lists ? {lists: mapObject(lists, resetFlags)} : {}),
+    ...(statusById ? {statusById: mapObject(statusById, resetFlags)} : {}),
+    ...(byParent ? {byParent: mapObject(byParent, cleanState)} : {})
+  };
+};
+
+// Migrations are keyed by the version they upgrade to, and applied in order
+const migrateState = (state, fromVersion, toVersion, migrations) =>
+  Object.keys(migrations)
+    .map(Number)
+    .filter(migrationVersion => migrationVersion > fromVersion && migrationVersion <= toVersion)
+    .sort((a, b) => a - b)
+    .reduce((soFar, migrationVersion) => migrations[migrationVersion](soFar), state);
+
+const createHydration = ({normalize = false, parent, reducer, hydration: {version = 1, migrations = {}} = {}} = {}) => {
+  const fillState = state => ({...getInitialState({normalize}), ...state});
+  const dehydrate = resourceState => ({
+    version,
+    state: cleanState(rollbackState(resourceState || {}, reducer))
+  });
+  const rehydrate = (payload) => {
+    // Unknown payloads (eg. persisted by a newer version) are discarded
+    if (!payload || !payload.state || payload.version > version) {
+      return parent ? {byParent: {}} : getInitialState({normalize});
+    }
+    const state = cleanState(rollbackState(migrateState(payload.state, payload.version || 0, version, migrations), reducer));
+    return parent ? {...state, byParent: mapObject(state.byParent || {}, fillState)} : fillState(state);
+  };
+  return {dehydrate, rehydrate};
+};
+
+export default createHydration;
@@ -2,20 +2,26 @@
 // https://github.com/angular/angular.js/blob/master/src/ngResource/resource.js
 // var User = $resource('/user/:userId', {userId:'@id'});
 
-import {defaultActions} from './defaults';
+import {defaultActions, defaultBulkActions} from './defaults';
 import {createActions} from './actions';
 import {createReducers, createRootReducer} from './reducers';
 import {createTypes} from './types';
-import fetch, {HttpError} from './helpers/fetch';
+import {createSelectors} from './selectors';
+import createHydration from './hydration';
+import fetch, {HttpError, AbortError, TimeoutError} from './helpers/fetch';
 import {pick, mergeObjects} from './helpers/util';
 
 export * from './defaults';
 export {reduceReducers, combineReducers, mergeReducers} from './reducers/helpers';
-export {fetch, HttpError};
+export {getItems, getListKey, getListItems} from './reducers';
+export {fetch, HttpError, AbortError, TimeoutError};
+export {decodeResponse} from './helpers/decode';
+export {default as connectRealtime} from './realtime';
+export {default as replayOutbox} from './offline';
 
 export function createResource({name: resourceName, pluralName: resourcePluralName, actions: givenActions = {}, pick: pickedActions = [], ...args}) {
-  // Merge passed actions with common defaults
-  let resolvedActions = mergeObjects({}, defaultActions, givenActions);
+  // Merge passed actions with common defaults, bulk actions are only included when declared
+  let resolvedActions = mergeObjects({}, defaultActions, pick(defaultBulkActions, ...Object.keys(givenActions)), givenActions);
   // Eventually pick selected actions
   if (pickedActions.length) {
     resolvedActions = pick(resolvedActions, ...pickedActions);
@@ -24,10 +30,15 @@ export function createResource({name: resourceName, pluralName: resourcePluralNa
   const actions = createActions(resolvedActions, {resourceName, resourcePluralName, ...args});
   const reducers = createReducers(resolvedActions, {resourceName, resourcePluralName, ...args});
   const rootReducer = createRootReducer(resolvedActions, {resourceName, resourcePluralName, reducers, ...args});
+  const selectors = createSelectors({resourceName, resourcePluralName, ...args});
+  const {dehydrate, rehydrate} = createHydration({...args, reducer: rootReducer});
   return {
     actions,
     reducers: rootReducer, // breaking change
     rootReducer,
-    types
+    selectors,
+    types,
+    dehydrate,
+    rehydrate
   };
 }
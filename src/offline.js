@@ -0,0 +1,53 @@
+import {defaultGlobals} from './defaults';
+import {getOutbox} from './reducers/outbox';
+
+// Entries being replayed, to prevent concurrent replays from sending them twice
+const replayingIds = {};
+
+// Outbox entries of sub-resources are kept in the state of their parent
+const getOutboxEntries = (resourceState) => {
+  const {byParent} = resourceState;
+  if (!byParent) {
+    return getOutbox(resourceState);
+  }
+  return Object.keys(byParent)
+    .reduce((soFar, parentId) => [...soFar, ...getOutbox(byParent[parentId] || {})], getOutbox(resourceState))
+    .sort((a, b) => a.queuedAt - b.queuedAt);
+};
+
+// Replays the queued mutations of the resource in order, resolves with the number of replayed entries
+const replayOutbox = ({actions, selectors}) => (dispatch, getState) => {
+  const {Promise} = defaultGlobals;
+  const entries = getOutboxEntries(selectors.selectState(getState()))
+    .filter(entry => !replayingIds[entry.id] && actions[entry.actionName]);
+  entries.forEach((entry) => {
+    replayingIds[entry.id] = true;
+  });
+  const release = (entry) => {
+    delete replayingIds[entry.id];
+  };
+  return entries.reduce((previousReplay, entry) => previousReplay.then(() => {
+    const actionFunc = actions[entry.actionName];
+    return dispatch(actionFunc(entry.context, {...entry.options, outboxEntry: entry}))
+      .catch((err) => {
+        // Conflicts and failed replays are already reported as rejected actions and dropped,
+        // but entries kept while still offline stop the replay as the remaining ones would fail as well
+        const isKept = getOutboxEntries(selectors.selectState(getState())).some(({id}) => id === entry.id);
+        if (isKept) {
+          throw err;
+        }
+      });
+  }), Promise.resolve())
+    .then(
+      () => {
+        entries.forEach(release);
+        return entries.length;
+      },
+      (err) => {
+        entries.forEach(release);
+        throw err;
+      }
+    );
+};
+
+export default replayOutbox;
@@ -0,0 +1,73 @@
+import {getActionType} from './types';
+import {isFunction} from './helpers/util';
+
+// Past tense event names commonly broadcast by servers
+const REALTIME_ACTION_IDS = {
+  created: 'create',
+  updated: 'update',
+  replaced: 'replace',
+  deleted: 'delete'
+};
+
+// WebSocket and EventSource messages hold their payload as `data`
+const defaultParse = (event) => {
+  const data = event && event.data !== undefined ? event.data : event;
+  return typeof data === 'string' ? JSON.parse(data) : data;
+};
+
+// Messages are either `{type, body}` or the body itself, sent along a named event (eg. SSE `event: updated`)
+const defaultMapMessage = (message, {eventName}) => (
+  message && message.type
+    ? {actionId: message.type, body: message.body}
+    : {actionId: eventName, body: message}
+);
+
+// Supports both DOM (eg. WebSocket, EventSource) and Node.js flavored event emitters
+const subscribe = (source, eventName, listener) => {
+  if (isFunction(source.addEventListener)) {
+    source.addEventListener(eventName, listener);
+    return () => source.removeEventListener(eventName, listener);
+  }
+  if (isFunction(source.on)) {
+    source.on(eventName, listener);
+    return () => (source.off || source.removeListener).call(source, eventName, listener);
+  }
+  throw new TypeError('Unsupported realtime source, expected an event emitter');
+};
+
+const getResourceType = (types, actionId) => {
+  const actionType = getActionType(actionId);
+  return Object.keys(types)
+    .map(typeKey => types[typeKey])
+    .find(type => type === actionType || type.endsWith(`/${actionType}`));
+};
+
+// Dispatches incoming messages as resolved actions of the resource, returns a function to disconnect
+const connectRealtime = (
+  {types},
+  source,
+  {events = ['message'], parse = defaultParse, mapMessage = defaultMapMessage} = {}
+) => (dispatch) => {
+  const unsubscribes = events.map(eventName => subscribe(source, eventName, (event) => {
+    let message;
+    try {
+      message = parse(event);
+    } catch (err) {
+      return; // Ignore malformed messages (eg. heartbeats)
+    }
+    const mappedMessage = mapMessage(message, {eventName});
+    if (!mappedMessage) {
+      return;
+    }
+    const {body = null, context = body} = mappedMessage;
+    const actionId = REALTIME_ACTION_IDS[mappedMessage.actionId] || mappedMessage.actionId;
+    const type = actionId && getResourceType(types, actionId);
+    if (!type) {
+      return;
+    }
+    dispatch({type, status: 'resolved', context, body, receivedAt: Date.now(), isRealtime: true});
+  }));
+  return () => unsubscribes.forEach(unsubscribe => unsubscribe());
+};
+
+export default connectRealtime;
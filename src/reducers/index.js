@@ -1,75 +1,188 @@
 import {initialState} from './../defaults';
-import {getTypesScope} from './../types';
-import {getGerundName, ucfirst} from './../helpers/util';
+import {getActionType, getTypesScope} from './../types';
+import {getGerundName, isObject, mapObject, ucfirst} from './../helpers/util';
+import {createIdResolver, getContextId, getDefaultId, getIdKeyName} from './../helpers/id';
+import {getActionParentId, getParentOpts} from './../helpers/parent';
+import {
+  getItems,
+  findItem,
+  findItemIndex,
+  insertItem,
+  upsertItem,
+  restoreItem,
+  setItems,
+  updateItem,
+  replaceItem,
+  removeItem,
+  getListItems,
+  updateList,
+  setListItems,
+  mapLists,
+  updateListsItem,
+  removeListsItem,
+  findListsItem,
+  restoreListsItem
+} from './items';
+import {isOptimistic, getSnapshot, saveSnapshot, dropSnapshot} from './optimistic';
+import {enqueue, dequeue} from './outbox';
 
+// Error details of rejected actions, eventually cleared by the next pending one
+const getActionError = (action) => {
+  if (action.status !== 'rejected') {
+    return null;
+  }
+  const {code = null, body = null, err} = action;
+  const message = err ? err.message : (body && isObject(body) && body.message) || 'HttpError';
+  return {code, body, message};
+};
+
+// Applies a partial state update for each item, resulting in a single state transition
+const reduceItems = (state, items, update) =>
+  [].concat(items || []).reduce((soFar, item) => ({...soFar, ...update(soFar, item)}), state);
+
+// Default reducers receive the resolved `idKey` option as a third argument
 const defaultReducers = {
-  create: (state, action) => {
+  create: (state, action, {idKey = 'id', getId = getDefaultId} = {}) => {
     switch (action.status) {
-      case 'pending':
-        // Add object to store as soon as possible?
+      case 'pending': {
+        if (!isOptimistic(action)) {
+          return {...state,
+            isCreating: true,
+            createError: null
+          };
+        }
+        // Add object to store as soon as possible
+        const item = {[getIdKeyName(idKey)]: action.optimisticId, ...action.context};
         return {...state,
-          isCreating: true
-          // items: [{
-          //   id: state.items.reduce((maxId, obj) => Math.max(obj.id, maxId), -1) + 1,
-          //   ...action.context
-          // }, ...state.items]
+          isCreating: true,
+          createError: null,
+          ...insertItem(state, item, -1, getId),
+          ...saveSnapshot(state, action, {id: getId(item)})
         };
-      case 'resolved':
+      }
+      case 'resolved': {
         // Assign returned object
+        const snapshot = isOptimistic(action) && getSnapshot(state, action);
+        // Empty responses (eg. 204 No Content) leave the items untouched, already present ones are merged
+        if (!snapshot) {
+          return {...state,
+            isCreating: false,
+            ...(action.body ? upsertItem(state, action.body, getId) : {})
+          };
+        }
+        // Swap the optimistic object with the returned one
         return {...state,
           isCreating: false,
-          items: [...(state.items || []), action.body]
+          ...(action.body ? replaceItem(state, snapshot.id, action.body, getId) : {}),
+          ...dropSnapshot(state, action)
         };
+      }
       case 'rejected':
+      case 'cancelled': {
+        const snapshot = isOptimistic(action) && getSnapshot(state, action);
+        if (!snapshot) {
+          return {...state,
+            isCreating: false,
+            createError: getActionError(action)
+          };
+        }
         return {...state,
-          isCreating: false
+          isCreating: false,
+          createError: getActionError(action),
+          ...removeItem(state, snapshot.id, getId),
+          ...dropSnapshot(state, action)
         };
+      }
       default:
         return state;
     }
   },
-  fetch: (state, action) => {
+  fetch: (state, action, {getId = getDefaultId} = {}) => {
+    const {listKey} = action;
     switch (action.status) {
       case 'pending':
+        // Query-keyed lists track their own flags
+        if (listKey) {
+          return {...state,
+            ...updateList(state, listKey, {isFetching: true, didInvalidate: false, error: null})
+          };
+        }
         return {...state,
           isFetching: true,
-          didInvalidate: false
+          didInvalidate: false,
+          fetchError: null
         };
-      case 'resolved':
+      case 'resolved': {
+        const {pagination} = action;
+        const body = action.body || [];
+        // Merge the received page with the previous ones
+        const previousItems = () => (listKey ? getListItems(state, listKey) : getItems(state));
+        const mergeItems = pagination && {
+          append: () => [...previousItems(), ...body],
+          prepend: () => [...body, ...previousItems()]
+        }[pagination.merge];
+        const items = mergeItems ? mergeItems() : body;
+        const paginationState = pagination ? {
+          page: pagination.page,
+          totalCount: pagination.totalCount,
+          hasMore: pagination.hasMore,
+          pageLinks: pagination.links || {}
+        } : {};
+        if (listKey) {
+          return {...state,
+            ...setListItems(state, listKey, items, {
+              isFetching: false,
+              didInvalidate: false,
+              lastUpdated: action.receivedAt,
+              ...paginationState
+            }, getId)
+          };
+        }
         return {...state,
           isFetching: false,
           didInvalidate: false,
-          items: action.body,
-          lastUpdated: action.receivedAt
+          ...setItems(state, items, getId),
+          lastUpdated: action.receivedAt,
+          cacheKey: action.cacheKey,
+          ...paginationState
         };
+      }
       case 'rejected':
+      case 'cancelled':
+        if (listKey) {
+          return {...state,
+            ...updateList(state, listKey, {isFetching: false, didInvalidate: false, error: getActionError(action)})
+          };
+        }
         return {...state,
           isFetching: false,
-          didInvalidate: false
+          didInvalidate: false,
+          fetchError: getActionError(action)
+        };
+      case 'invalidated':
+        return {...state,
+          didInvalidate: true,
+          ...mapLists(state, list => ({...list, didInvalidate: true}))
         };
       default:
         return state;
     }
   },
-  get: (state, action) => {
+  get: (state, action, {getId = getDefaultId} = {}) => {
     switch (action.status) {
       case 'pending':
         return {...state,
           isFetchingItem: true,
-          didInvalidateItem: false
+          didInvalidateItem: false,
+          getError: null
         };
       case 'resolved': {
         const actionOpts = action.options || {};
         const item = action.body;
-        const update = {};
-        if (actionOpts.assignResponse) {
-          const updatedItems = state.items;
-          const listItemIndex = updatedItems.findIndex(el => el.id === item.id);
-          if (listItemIndex !== -1) {
-            updatedItems.splice(listItemIndex, 1, item);
-            update.items = updatedItems.slice();
-          }
-        }
+        const id = item && getId(item);
+        const update = actionOpts.assignResponse && item
+          ? {...updateItem(state, id, () => item, getId), ...updateListsItem(state, id, () => item, getId)}
+          : {};
         return {...state,
           isFetchingItem: false,
           didInvalidateItem: false,
@@ -79,94 +192,409 @@ const defaultReducers = {
         };
       }
       case 'rejected':
+      case 'cancelled':
         return {...state,
           isFetchingItem: false,
-          didInvalidateItem: false
+          didInvalidateItem: false,
+          getError: getActionError(action)
+        };
+      case 'invalidated':
+        return {...state,
+          didInvalidateItem: true
         };
       default:
         return state;
     }
   },
-  update: (state, action) => {
+  update: (state, action, {getId = getDefaultId} = {}) => {
     switch (action.status) {
-      case 'pending':
-        // Update object in store as soon as possible?
+      case 'pending': {
+        if (!isOptimistic(action)) {
+          return {...state,
+            isUpdating: true,
+            updateError: null
+          };
+        }
+        // Update object in store as soon as possible
+        const id = getContextId(action.context, getId);
+        const update = action.context;
+        const isSelectedItem = state.item && getId(state.item) === id;
         return {...state,
-          isUpdating: true
+          isUpdating: true,
+          updateError: null,
+          ...updateItem(state, id, item => ({...item, ...update}), getId),
+          ...updateListsItem(state, id, item => ({...item, ...update}), getId),
+          item: isSelectedItem ? {...state.item, ...update} : state.item,
+          ...saveSnapshot(state, action, {
+            id,
+            listItem: findItem(state, id, getId),
+            listsItem: findListsItem(state, id, getId),
+            item: isSelectedItem ? state.item : undefined
+          })
         };
+      }
       case 'resolved': {
         // Assign context or returned object
-        const id = action.context.id || action.context;
+        const id = getContextId(action.context, getId);
         const actionOpts = action.options || {};
         const update = actionOpts.assignResponse ? action.body : action.context;
-        const listItemIndex = state.items.findIndex(el => el.id === id);
-        const updatedItems = state.items.slice();
-        if (listItemIndex !== -1) {
-          updatedItems[listItemIndex] = {...updatedItems[listItemIndex], ...update};
-        }
-        const updatedItem = state.item && state.item.id === id
+        const updatedItem = state.item && getId(state.item) === id
           ? {...state.item, ...update}
           : state.item;
         return {...state,
           isUpdating: false,
-          items: updatedItems,
-          item: updatedItem
+          ...updateItem(state, id, item => ({...item, ...update}), getId),
+          ...updateListsItem(state, id, item => ({...item, ...update}), getId),
+          item: updatedItem,
+          ...(isOptimistic(action) ? dropSnapshot(state, action) : {})
         };
       }
       case 'rejected':
+      case 'cancelled': {
+        const snapshot = isOptimistic(action) && getSnapshot(state, action);
+        if (!snapshot) {
+          return {...state,
+            isUpdating: false,
+            updateError: getActionError(action)
+          };
+        }
+        // Rollback to previous values
+        const {id} = snapshot;
         return {...state,
-          isUpdating: false
+          isUpdating: false,
+          updateError: getActionError(action),
+          ...(snapshot.listItem ? updateItem(state, id, () => snapshot.listItem, getId) : {}),
+          ...restoreListsItem(state, snapshot.listsItem, id, getId),
+          item: snapshot.item && state.item && getId(state.item) === id ? snapshot.item : state.item,
+          ...dropSnapshot(state, action)
         };
+      }
       default:
         return state;
     }
   },
-  delete: (state, action) => {
+  // Replaced objects are swapped wholesale, dropping the fields missing from the replacement
+  replace: (state, action, {getId = getDefaultId} = {}) => {
     switch (action.status) {
-      case 'pending':
-        // Update object in store as soon as possible?
+      case 'pending': {
+        if (!isOptimistic(action)) {
+          return {...state,
+            isReplacing: true,
+            replaceError: null
+          };
+        }
+        // Replace object in store as soon as possible
+        const id = getContextId(action.context, getId);
+        const replacement = action.context;
+        const isSelectedItem = state.item && getId(state.item) === id;
+        return {...state,
+          isReplacing: true,
+          replaceError: null,
+          ...updateItem(state, id, () => replacement, getId),
+          ...updateListsItem(state, id, () => replacement, getId),
+          item: isSelectedItem ? replacement : state.item,
+          ...saveSnapshot(state, action, {
+            id,
+            listItem: findItem(state, id, getId),
+            listsItem: findListsItem(state, id, getId),
+            item: isSelectedItem ? state.item : undefined
+          })
+        };
+      }
+      case 'resolved': {
+        // Assign context or returned object
+        const id = getContextId(action.context, getId);
+        const actionOpts = action.options || {};
+        const replacement = actionOpts.assignResponse && action.body ? action.body : action.context;
+        return {...state,
+          isReplacing: false,
+          ...updateItem(state, id, () => replacement, getId),
+          ...updateListsItem(state, id, () => replacement, getId),
+          item: state.item && getId(state.item) === id ? replacement : state.item,
+          ...(isOptimistic(action) ? dropSnapshot(state, action) : {})
+        };
+      }
+      case 'rejected':
+      case 'cancelled': {
+        const snapshot = isOptimistic(action) && getSnapshot(state, action);
+        if (!snapshot) {
+          return {...state,
+            isReplacing: false,
+            replaceError: getActionError(action)
+          };
+        }
+        // Rollback to previous values
+        const {id} = snapshot;
+        return {...state,
+          isReplacing: false,
+          replaceError: getActionError(action),
+          ...(snapshot.listItem ? updateItem(state, id, () => snapshot.listItem, getId) : {}),
+          ...restoreListsItem(state, snapshot.listsItem, id, getId),
+          item: snapshot.item && state.item && getId(state.item) === id ? snapshot.item : state.item,
+          ...dropSnapshot(state, action)
+        };
+      }
+      default:
+        return state;
+    }
+  },
+  delete: (state, action, {getId = getDefaultId} = {}) => {
+    switch (action.status) {
+      case 'pending': {
+        if (!isOptimistic(action)) {
+          return {...state,
+            isDeleting: true,
+            deleteError: null
+          };
+        }
+        // Remove object from store as soon as possible
+        const id = getContextId(action.context, getId);
         return {...state,
-          isDeleting: true
+          isDeleting: true,
+          deleteError: null,
+          ...removeItem(state, id, getId),
+          ...removeListsItem(state, id, getId),
+          ...saveSnapshot(state, action, {
+            id,
+            listItem: findItem(state, id, getId),
+            index: findItemIndex(state, id, getId),
+            listsItem: findListsItem(state, id, getId)
+          })
         };
+      }
       case 'resolved': // eslint-disable-line
-        const id = action.context.id || action.context;
+        const id = getContextId(action.context, getId);
         return {...state,
           isDeleting: false,
-          items: [...state.items.filter(el => el.id !== id)]
+          ...removeItem(state, id, getId),
+          ...removeListsItem(state, id, getId),
+          ...(isOptimistic(action) ? dropSnapshot(state, action) : {})
+        };
+      case 'rejected':
+      case 'cancelled': {
+        const snapshot = isOptimistic(action) && getSnapshot(state, action);
+        if (!snapshot) {
+          return {...state,
+            isDeleting: false,
+            deleteError: getActionError(action)
+          };
+        }
+        // Restore the removed object at its previous positions
+        return {...state,
+          isDeleting: false,
+          deleteError: getActionError(action),
+          ...(snapshot.listItem ? restoreItem(state, snapshot.listItem, snapshot.index, getId) : {}),
+          ...restoreListsItem(state, snapshot.listsItem, snapshot.id, getId),
+          ...dropSnapshot(state, action)
+        };
+      }
+      default:
+        return state;
+    }
+  },
+  createMany: (state, action, {getId = getDefaultId} = {}) => {
+    switch (action.status) {
+      case 'pending':
+        return {...state,
+          isCreatingMany: true,
+          createManyError: null
         };
+      case 'resolved': {
+        // Insert every returned object, merging the ones already present (eg. pushed by the server)
+        const nextState = reduceItems(state, action.body, (soFar, item) => upsertItem(soFar, item, getId));
+        return {...nextState,
+          isCreatingMany: false
+        };
+      }
       case 'rejected':
+      case 'cancelled':
         return {...state,
-          isDeleting: false
+          isCreatingMany: false,
+          createManyError: getActionError(action)
         };
       default:
         return state;
     }
+  },
+  updateMany: (state, action, {getId = getDefaultId} = {}) => {
+    switch (action.status) {
+      case 'pending':
+        return {...state,
+          isUpdatingMany: true,
+          updateManyError: null
+        };
+      case 'resolved': {
+        // Assign every context or returned object
+        const actionOpts = action.options || {};
+        const updates = actionOpts.assignResponse ? action.body : action.context;
+        const nextState = reduceItems(state, updates, (soFar, update) => {
+          const id = getId(update);
+          const updater = item => ({...item, ...update});
+          return {
+            ...updateItem(soFar, id, updater, getId),
+            ...updateListsItem(soFar, id, updater, getId),
+            item: soFar.item && getId(soFar.item) === id ? updater(soFar.item) : soFar.item
+          };
+        });
+        return {...nextState,
+          isUpdatingMany: false
+        };
+      }
+      case 'rejected':
+      case 'cancelled':
+        return {...state,
+          isUpdatingMany: false,
+          updateManyError: getActionError(action)
+        };
+      default:
+        return state;
+    }
+  },
+  deleteMany: (state, action, {getId = getDefaultId} = {}) => {
+    switch (action.status) {
+      case 'pending':
+        return {...state,
+          isDeletingMany: true,
+          deleteManyError: null
+        };
+      case 'resolved': {
+        // Context holds either the ids or the objects to remove
+        const ids = [].concat(action.context || []).map(item => getContextId(item, getId));
+        const nextState = reduceItems(state, ids, (soFar, id) => ({
+          ...removeItem(soFar, id, getId),
+          ...removeListsItem(soFar, id, getId)
+        }));
+        return {...nextState,
+          isDeletingMany: false
+        };
+      }
+      case 'rejected':
+      case 'cancelled':
+        return {...state,
+          isDeletingMany: false,
+          deleteManyError: getActionError(action)
+        };
+      default:
+        return state;
+    }
+  }
+};
+
+
+const getInitialState = ({normalize = false} = {}) => {
+  if (!normalize) {
+    return {...initialState};
   }
+  // Normalized state replaces the `items` array with entities keyed by id and an ordered list of ids
+  const normalizedState = {...initialState, byId: {}, allIds: []};
+  delete normalizedState.items;
+  return normalizedState;
 };
 
+// Declarative strategies to merge a resolved response into the state
+const mergeStrategies = {
+  items: (state, body, getId) => (Array.isArray(body) ? body : [body]).reduce((soFar, item) => {
+    const id = getId(item);
+    const updater = previousItem => ({...previousItem, ...item});
+    return {...soFar,
+      ...(findItem(soFar, id, getId) ? updateItem(soFar, id, updater, getId) : insertItem(soFar, item, -1, getId)),
+      ...updateListsItem(soFar, id, updater, getId)
+    };
+  }, state),
+  item: (state, body, getId) => ({...state,
+    item: state.item && getId(state.item) === getId(body) ? {...state.item, ...body} : body
+  })
+};
+
+// Track the request status of each item, keyed by the id found in the action context
+const createItemStatusReducer = (reducer, {statusKey, errorKey, removeOnResolve = false, getId}) => (state, action) => {
+  const nextState = reducer(state, action);
+  const id = getContextId(action.context, getId);
+  if (id === undefined || id === null) {
+    return nextState;
+  }
+  const statusById = nextState.statusById || {};
+  const updateStatus = status => ({...nextState,
+    statusById: {...statusById, [id]: {...statusById[id], ...status}}
+  });
+  // Replayed actions settle a queued request
+  const dequeued = action.outboxId ? {isQueued: false} : {};
+  switch (action.status) {
+    case 'pending':
+      return updateStatus({[statusKey]: true, [errorKey]: null});
+    case 'queued':
+      return updateStatus({[statusKey]: false, isQueued: true});
+    case 'resolved': {
+      if (!removeOnResolve) {
+        return updateStatus({[statusKey]: false, ...dequeued});
+      }
+      const nextStatusById = {...statusById};
+      delete nextStatusById[id];
+      return {...nextState, statusById: nextStatusById};
+    }
+    case 'rejected':
+    case 'cancelled':
+      return updateStatus({[statusKey]: false, [errorKey]: getActionError(action), ...dequeued});
+    default:
+      return nextState;
+  }
+};
+
+// Mutations that failed to reach the network are kept in the outbox until replayed
+const createOutboxReducer = (reducer, {statusKey}) => (state, action) => {
+  const nextState = reducer(state, action);
+  switch (action.status) {
+    case 'queued':
+      return {...nextState,
+        [statusKey]: false,
+        ...enqueue(nextState, action.outboxEntry)
+      };
+    case 'resolved':
+    case 'rejected':
+      return action.outboxId ? {...nextState, ...dequeue(nextState, action.outboxId)} : nextState;
+    default:
+      return nextState;
+  }
+};
+
+const createMergeReducer = (reducer, mergeInto, getId) => {
+  const strategies = Array.isArray(mergeInto) ? mergeInto : [mergeInto];
+  return (state, action) => {
+    const nextState = reducer(state, action);
+    if (action.status !== 'resolved' || !action.body) {
+      return nextState;
+    }
+    return strategies.reduce((soFar, strategy) => mergeStrategies[strategy](soFar, action.body, getId), nextState);
+  };
+};
 
-const createReducer = (actionId, {resourceName, resourcePluralName = `${resourceName}s`, ...actionOpts}) => {
+const createBaseReducer = (actionId, {idKey, getId, ...actionOpts}) => {
   // Default reducers
   if (defaultReducers[actionId]) {
-    return defaultReducers[actionId];
+    const defaultReducer = defaultReducers[actionId];
+    return (state, action) => defaultReducer(state, action, {idKey, getId});
   }
   // Custom reducers
   const gerundName = actionOpts.gerundName || getGerundName(actionId);
   const gerundStateKey = `is${ucfirst(gerundName)}`;
+  const errorStateKey = `${actionId}Error`;
   return (state, action) => {
     switch (action.status) {
       case 'pending':
         // Update object in store as soon as possible?
         return {...state,
-          [gerundStateKey]: true
+          [gerundStateKey]: true,
+          [errorStateKey]: null
         };
       case 'resolved': // eslint-disable-line
         return {...state,
           [gerundStateKey]: false
         };
       case 'rejected':
+      case 'cancelled':
         return {...state,
-          [gerundStateKey]: false
+          [gerundStateKey]: false,
+          [errorStateKey]: getActionError(action)
         };
       default:
         return state;
@@ -174,6 +602,56 @@ const createReducer = (actionId, {resourceName, resourcePluralName = `${resource
   };
 };
 
+const createReducer = (actionId, {
+  resourceName,
+  resourcePluralName = `${resourceName}s`,
+  reduce,
+  mergeInto,
+  idKey = 'id',
+  ...actionOpts
+}) => {
+  const getId = createIdResolver(idKey);
+  let reducer = createBaseReducer(actionId, {...actionOpts, idKey, getId});
+  // Track single item requests
+  if (!actionOpts.isArray) {
+    const gerundName = actionId === 'get' ? 'fetching' : actionOpts.gerundName || getGerundName(actionId);
+    reducer = createItemStatusReducer(reducer, {
+      statusKey: `is${ucfirst(gerundName)}`,
+      errorKey: `${actionId}Error`,
+      removeOnResolve: actionId === 'delete',
+      getId
+    });
+  }
+  // Track offline mutations
+  reducer = createOutboxReducer(reducer, {statusKey: `is${ucfirst(actionOpts.gerundName || getGerundName(actionId))}`});
+  // Eventually merge the response into the state
+  if (mergeInto) {
+    reducer = createMergeReducer(reducer, mergeInto, getId);
+  }
+  // Custom reduce functions can either wrap or replace the reducer
+  if (reduce) {
+    const defaultReducer = reducer;
+    reducer = (state, action) => reduce(state, action, defaultReducer);
+  }
+  return reducer;
+};
+
+// Sub-resources keep a separate state for each parent under `byParent`
+const createParentReducer = (getActionReducer, {parentOpts, normalize}) => (state = {byParent: {}}, action) => {
+  const reducer = getActionReducer(action);
+  if (!reducer) {
+    return state;
+  }
+  const parentId = getActionParentId(action, parentOpts);
+  const {byParent = {}} = state;
+  const reduceParent = parentState => reducer(parentState || getInitialState({normalize}), action);
+  // Actions without any parent (eg. invalidations) apply to every parent
+  if (parentId === undefined || parentId === null) {
+    return {...state, byParent: mapObject(byParent, reduceParent)};
+  }
+  return {...state, byParent: {...byParent, [parentId]: reduceParent(byParent[parentId])}};
+};
+
 const createReducers = (actions = {}, {resourceName, resourcePluralName, ...globalOpts} = {}) => {
   const actionKeys = Object.keys(actions);
   return actionKeys.reduce((actionReducers, actionId) => {
@@ -190,25 +668,41 @@ const createRootReducer = (
     resourcePluralName,
     scope = getTypesScope(resourceName),
     reducers: givenReducers,
+    normalize = false,
+    parent,
     ...globalOpts
   } = {}
 ) => {
   const scopeNamespace = scope ? `${scope}/` : '';
   const reducers = givenReducers || createReducers(actions, {resourceName, resourcePluralName, ...globalOpts});
-  const rootReducer = (state = {...initialState}, action) => {
+  // Action types are upper snake cased (eg. `uploadAvatar` dispatches `UPLOAD_AVATAR`)
+  const actionIdsByType = Object.keys(reducers).reduce((soFar, actionId) => {
+    soFar[getActionType(actionId)] = actionId;
+    return soFar;
+  }, {});
+  const getActionReducer = (action) => {
     // Only process relevant namespace
     if (scopeNamespace && !String(action.type).startsWith(scopeNamespace)) {
-      return state;
+      return null;
     }
     // Only process relevant action type
-    const type = action.type.substr(scopeNamespace.length).toLowerCase();
+    const type = action.type.substr(scopeNamespace.length);
+    const actionId = actionIdsByType[type];
+    return actionId ? reducers[actionId] : null;
+  };
+  if (parent) {
+    return createParentReducer(getActionReducer, {parentOpts: getParentOpts(parent), normalize});
+  }
+  const rootReducer = (state = getInitialState({normalize}), action) => {
     // Check for a matching reducer
-    if (reducers[type]) {
-      return reducers[type](state, action);
+    const reducer = getActionReducer(action);
+    if (reducer) {
+      return reducer(state, action);
     }
     return state;
   };
   return rootReducer;
 };
 
-export {initialState, defaultReducers, createReducers, createRootReducer};
+export {initialState, getInitialState, defaultReducers, createReducers, createRootReducer};
+export {getItems, getListKey, getListItems} from './items';
@@ -0,0 +1,211 @@
+import {mapObject, sortKeys} from './../helpers/util';
+import {getDefaultId} from './../helpers/id';
+
+// Storage agnostic helpers used by the reducers to manipulate the list of items.
+// Every helper returns a partial state, either `{items}` or `{byId, allIds}` when the state is normalized.
+// Helpers identifying items accept a `getId` function resolved from the `idKey` option.
+
+const isNormalized = state =>
+  !!state && Array.isArray(state.allIds);
+
+const getItems = state => (
+  isNormalized(state)
+    ? state.allIds.map(id => state.byId[id])
+    : (state && state.items) || []
+);
+
+// Entities are shared with query-keyed lists, the ones they still reference are kept
+const getListsEntities = state =>
+  Object.keys(state.lists || {}).reduce((soFar, listKey) => {
+    (state.lists[listKey].ids || []).forEach((id) => {
+      if (state.byId[id]) {
+        soFar[id] = state.byId[id];
+      }
+    });
+    return soFar;
+  }, {});
+
+const setItems = (state, items, getId = getDefaultId) => {
+  if (!isNormalized(state)) {
+    return {items};
+  }
+  return items.reduce((soFar, item) => {
+    const id = getId(item);
+    soFar.byId[id] = item;
+    soFar.allIds.push(id);
+    return soFar;
+  }, {byId: getListsEntities(state), allIds: []});
+};
+
+const findItem = (state, id, getId = getDefaultId) => {
+  if (isNormalized(state)) {
+    return state.byId[id];
+  }
+  return getItems(state).find(el => getId(el) === id);
+};
+
+const findItemIndex = (state, id, getId = getDefaultId) => (
+  isNormalized(state)
+    ? state.allIds.indexOf(id)
+    : getItems(state).findIndex(el => getId(el) === id)
+);
+
+const insertItem = (state, item, index = -1, getId = getDefaultId) => {
+  const insertAt = (array, value) => {
+    const updatedArray = array.slice();
+    updatedArray.splice(index === -1 ? array.length : index, 0, value);
+    return updatedArray;
+  };
+  if (!isNormalized(state)) {
+    return {items: insertAt(getItems(state), item)};
+  }
+  const id = getId(item);
+  return {
+    byId: {...state.byId, [id]: item},
+    allIds: state.allIds.includes(id) ? state.allIds : insertAt(state.allIds, id)
+  };
+};
+
+// Restores a removed item at its previous position, normalized entities only referenced by lists have none
+const restoreItem = (state, item, index, getId = getDefaultId) => (
+  isNormalized(state) && index === -1
+    ? {byId: {...state.byId, [getId(item)]: item}}
+    : insertItem(state, item, index, getId)
+);
+
+const updateItem = (state, id, updater, getId = getDefaultId) => {
+  if (isNormalized(state)) {
+    if (!state.byId[id]) {
+      return {};
+    }
+    return {byId: {...state.byId, [id]: updater(state.byId[id])}};
+  }
+  const items = getItems(state);
+  const listItemIndex = items.findIndex(el => getId(el) === id);
+  if (listItemIndex === -1) {
+    return {};
+  }
+  const updatedItems = items.slice();
+  updatedItems[listItemIndex] = updater(items[listItemIndex]);
+  return {items: updatedItems};
+};
+
+// Merges the item when already present (eg. pushed by the server), inserts it otherwise
+const upsertItem = (state, item, getId = getDefaultId) => {
+  const id = getId(item);
+  return findItem(state, id, getId)
+    ? updateItem(state, id, previousItem => ({...previousItem, ...item}), getId)
+    : insertItem(state, item, -1, getId);
+};
+
+const replaceItem = (state, id, item, getId = getDefaultId) => {
+  const itemId = getId(item);
+  if (id === itemId) {
+    return updateItem(state, id, () => item, getId);
+  }
+  if (!isNormalized(state)) {
+    // The returned item might already be present, eg. when pushed by the server
+    const items = getItems(state).filter(el => getId(el) !== itemId);
+    return updateItem({...state, items}, id, () => item, getId);
+  }
+  // Identifier might change, eg. when swapping an optimistic item with the created one
+  const index = state.allIds.indexOf(id);
+  if (index === -1) {
+    return {};
+  }
+  const byId = {...state.byId, [itemId]: item};
+  delete byId[id];
+  const allIds = state.allIds.filter(someId => someId !== itemId);
+  allIds.splice(allIds.indexOf(id), 1, itemId);
+  return {byId, allIds};
+};
+
+const removeItem = (state, id, getId = getDefaultId) => {
+  if (!isNormalized(state)) {
+    return {items: getItems(state).filter(el => getId(el) !== id)};
+  }
+  const byId = {...state.byId};
+  delete byId[id];
+  return {byId, allIds: state.allIds.filter(someId => someId !== id)};
+};
+
+// Query-keyed lists are stored under `lists`, holding either `items` or `ids` when the state is normalized.
+
+const getListKey = ({params = {}, query = {}} = {}) =>
+  JSON.stringify(sortKeys({params, query}));
+
+const getList = (state, listKey) =>
+  (state && state.lists ? state.lists[listKey] : undefined);
+
+const getListItems = (state, listKey) => {
+  const list = getList(state, listKey);
+  if (!list) {
+    return [];
+  }
+  return isNormalized(state) ? (list.ids || []).map(id => state.byId[id]) : list.items || [];
+};
+
+const updateList = (state, listKey, props) => ({
+  lists: {...(state && state.lists), [listKey]: {...getList(state, listKey), ...props}}
+});
+
+const setListItems = (state, listKey, items, props = {}, getId = getDefaultId) => {
+  if (!isNormalized(state)) {
+    return updateList(state, listKey, {...props, items});
+  }
+  const byId = items.reduce((soFar, item) => {
+    soFar[getId(item)] = item;
+    return soFar;
+  }, {...state.byId});
+  return {byId, ...updateList(state, listKey, {...props, ids: items.map(getId)})};
+};
+
+const mapLists = (state, func) =>
+  (state && state.lists ? {lists: mapObject(state.lists, func)} : {});
+
+// Normalized lists only hold ids, updated entities are already shared through `byId`
+const updateListsItem = (state, id, updater, getId = getDefaultId) => (
+  isNormalized(state)
+    ? {}
+    : mapLists(state, list => ({...list, ...updateItem(list, id, updater, getId)}))
+);
+
+const removeListsItem = (state, id, getId = getDefaultId) => (
+  isNormalized(state)
+    ? mapLists(state, list => ({...list, ids: (list.ids || []).filter(someId => someId !== id)}))
+    : mapLists(state, list => ({...list, ...removeItem(list, id, getId)}))
+);
+
+// Positions of an item in every list referencing it, along with its value when not normalized
+const findListsItem = (state, id, getId = getDefaultId) =>
+  Object.keys((state && state.lists) || {}).reduce((soFar, listKey) => {
+    const list = state.lists[listKey];
+    const index = isNormalized(state) ? (list.ids || []).indexOf(id) : findItemIndex(list, id, getId);
+    if (index !== -1) {
+      soFar[listKey] = isNormalized(state) ? {index} : {index, item: list.items[index]};
+    }
+    return soFar;
+  }, {});
+
+// Restores an item in the lists found by `findListsItem`, either in place or at its previous position
+const restoreListsItem = (state, listsItem, id, getId = getDefaultId) => {
+  const listKeys = Object.keys(listsItem || {}).filter(listKey => getList(state, listKey));
+  return listKeys.reduce((soFar, listKey) => {
+    const list = soFar.lists[listKey];
+    const {index, item} = listsItem[listKey];
+    if (isNormalized(state)) {
+      const ids = list.ids || [];
+      const restoredIds = ids.includes(id) ? ids : [...ids.slice(0, index), id, ...ids.slice(index)];
+      return {lists: {...soFar.lists, [listKey]: {...list, ids: restoredIds}}};
+    }
+    const restoredList = findItem(list, id, getId)
+      ? updateItem(list, id, () => item, getId)
+      : insertItem(list, item, index, getId);
+    return {lists: {...soFar.lists, [listKey]: {...list, ...restoredList}}};
+  }, listKeys.length ? {lists: state.lists} : {});
+};
+
+export {isNormalized, getItems, setItems, findItem, findItemIndex, insertItem, upsertItem, restoreItem};
+export {updateItem, replaceItem, removeItem};
+export {getListKey, getList, getListItems, updateList, setListItems, mapLists, updateListsItem, removeListsItem};
+export {findListsItem, restoreListsItem};
@@ -0,0 +1,21 @@
+// Helpers used by the default reducers to apply changes as soon as an `optimistic` action is pending,
+// snapshots of the previous values are kept until the action either resolves or gets rolled back.
+
+const isOptimistic = action =>
+  !!action.optimisticId;
+
+const getSnapshot = (state, action) =>
+  (state.optimisticSnapshots || {})[action.optimisticId];
+
+// Snapshots also record the action type, to be able to rollback changes outside of the action lifecycle
+const saveSnapshot = (state, action, snapshot) => ({
+  optimisticSnapshots: {...state.optimisticSnapshots, [action.optimisticId]: {...snapshot, actionType: action.type}}
+});
+
+const dropSnapshot = (state, action) => {
+  const optimisticSnapshots = {...state.optimisticSnapshots};
+  delete optimisticSnapshots[action.optimisticId];
+  return {optimisticSnapshots};
+};
+
+export {isOptimistic, getSnapshot, saveSnapshot, dropSnapshot};
@@ -0,0 +1,15 @@
+// Helpers used to keep the mutations that failed to reach the network in a serializable `outbox`,
+// entries are dropped once their replay either resolves or gets rejected.
+
+const getOutbox = state =>
+  state.outbox || [];
+
+const enqueue = (state, entry) => ({
+  outbox: [...getOutbox(state), entry]
+});
+
+const dequeue = (state, entryId) => ({
+  outbox: getOutbox(state).filter(entry => entry.id !== entryId)
+});
+
+export {getOutbox, enqueue, dequeue};
@@ -0,0 +1,84 @@
+import {getItems, findItem, getListKey, getList, getListItems} from './reducers/items';
+import {getPath, getPluralName, isFunction, memoize} from './helpers/util';
+import {createIdResolver, getContextId} from './helpers/id';
+import {getParentState} from './helpers/parent';
+
+const getResourceState = (state, statePath) => {
+  if (!statePath) {
+    return undefined;
+  }
+  return isFunction(statePath) ? statePath(state) : getPath(state, statePath);
+};
+
+const emptyStatus = {};
+
+const createSelectors = ({
+  resourceName,
+  resourcePluralName = getPluralName(resourceName),
+  statePath = resourceName ? resourcePluralName : undefined,
+  idKey = 'id',
+  parent
+} = {}) => {
+  const getId = createIdResolver(idKey);
+  // Without any statePath, selectors are expected to receive the resource state
+  const selectState = state => (statePath ? getResourceState(state, statePath) : state) || {};
+  // Only derive new references when the underlying data has changed
+  const selectItems = memoize((items, byId, allIds) => getItems({items, byId, allIds}));
+  const listSelectors = {};
+  const getListSelector = (listKey) => {
+    if (!listSelectors[listKey]) {
+      listSelectors[listKey] = memoize((list, byId, allIds) => getListItems({lists: {[listKey]: list}, byId, allIds}, listKey));
+    }
+    return listSelectors[listKey];
+  };
+  // Query-keyed lists are selected using the same params and query as the fetch action
+  const selectList = (state, listOpts) => (
+    listOpts ? getList(selectState(state), getListKey(listOpts)) || {} : selectState(state)
+  );
+
+  const selectAll = (state) => {
+    const {items, byId, allIds} = selectState(state);
+    return selectItems(items, byId, allIds);
+  };
+  // Items can be selected by identifier or by any object holding it (eg. composite keys)
+  const selectById = (state, idOrContext) => {
+    const id = getContextId(idOrContext, getId);
+    const resourceState = selectState(state);
+    const {item} = resourceState;
+    return findItem(resourceState, id, getId) || (item && getId(item) === id ? item : undefined);
+  };
+  const selectByQuery = (state, listOpts) => {
+    const listKey = getListKey(listOpts);
+    const {lists = {}, byId, allIds} = selectState(state);
+    return getListSelector(listKey)(lists[listKey], byId, allIds);
+  };
+  const selectIsFetching = (state, listOpts) =>
+    !!selectList(state, listOpts).isFetching;
+  const selectError = (state, actionId = 'fetch') => {
+    const resourceState = selectState(state);
+    return resourceState[`${actionId}Error`] || null;
+  };
+  const selectStatusById = (state, idOrContext) => {
+    const {statusById = {}} = selectState(state);
+    return statusById[getContextId(idOrContext, getId)] || emptyStatus;
+  };
+
+  const selectors = {selectState, selectAll, selectById, selectByQuery, selectIsFetching, selectError, selectStatusById};
+  if (!parent) {
+    return selectors;
+  }
+  // Sub-resources expose the same selectors scoped to the state of a parent
+  const parentSelectors = {};
+  const forParent = (parentId) => {
+    if (!parentSelectors[parentId]) {
+      parentSelectors[parentId] = createSelectors({
+        statePath: state => getParentState(selectState(state), parentId),
+        idKey
+      });
+    }
+    return parentSelectors[parentId];
+  };
+  return {...selectors, forParent};
+};
+
+export {getResourceState, createSelectors};
@@ -4,8 +4,9 @@ import expect from 'expect';
 import nock from 'nock';
 import thunk from 'redux-thunk';
 
-import {defaultActions, defaultHeaders} from '../../src';
+import {defaultActions, defaultBulkActions, defaultGlobals, defaultHeaders} from '../../src';
 import {createActions, getActionName} from '../../src/actions';
+import {createRootReducer, getListKey} from '../../src/reducers';
 
 const middlewares = [thunk];
 const mockStore = configureMockStore(middlewares);
@@ -19,7 +20,16 @@ describe('createActions', () => {
   describe('when using a resource', () => {
     it('should return an object with properly named keys', () => {
       const actionFuncs = createActions(defaultActions, {resourceName, url});
-      const expectedKeys = ['createUser', 'fetchUsers', 'getUser', 'updateUser', 'deleteUser'];
+      const expectedKeys = [
+        'createUser',
+        'fetchUsers',
+        'getUser',
+        'updateUser',
+        'replaceUser',
+        'deleteUser',
+        'invalidateUsers',
+        'invalidateUser'
+      ];
       expect(Object.keys(actionFuncs)).toEqual(expectedKeys);
     });
     it('should return an object with properly typed values', () => {
@@ -31,7 +41,7 @@ describe('createActions', () => {
   describe('when not using a resource', () => {
     it('should return an object with properly named keys', () => {
       const actionFuncs = createActions(defaultActions, {url});
-      const expectedKeys = ['create', 'fetch', 'get', 'update', 'delete'];
+      const expectedKeys = ['create', 'fetch', 'get', 'update', 'replace', 'delete'];
       expect(Object.keys(actionFuncs)).toEqual(expectedKeys);
     });
     it('should return an object with properly typed values', () => {
@@ -142,6 +152,29 @@ describe('defaultActions', () => {
           expect(actions).toEqual(expectedActions);
         });
     });
+    it('.replace()', () => {
+      const actionId = 'replace';
+      const action = getActionName(actionId, {resourceName});
+      const type = '@@resource/USER/REPLACE';
+      const context = {id: 1, firstName: 'Olivier'};
+      const body = {ok: true};
+      const code = 200;
+      const options = {};
+      nock(host)
+        .put(`/users/${context.id}`, context)
+        .reply(code, body);
+      const store = mockStore({users: {}});
+      const expectedActions = [
+        {status: 'pending', type, context},
+        {status: 'resolved', type, context, options, body, code, receivedAt: null}
+      ];
+      return store.dispatch(actionFuncs[action](context))
+        .then(() => {
+          const actions = store.getActions();
+          actions[1].receivedAt = null;
+          expect(actions).toEqual(expectedActions);
+        });
+    });
     it('.delete()', () => {
       const actionId = 'delete';
       const action = getActionName(actionId, {resourceName});
@@ -548,6 +581,50 @@ describe('fetchOptions', () => {
         });
     });
   });
+  describe('`params` option', () => {
+    it('should support `@` bindings', () => {
+      const actionFuncs = createActions(defaultActions, {resourceName, url: `${host}/users/:userId`, params: {userId: '@id'}});
+      const context = {id: 1, firstName: 'Olivier'};
+      nock(host).patch('/users/1', context)
+        .reply(200, {ok: true});
+      const store = mockStore({users: {}});
+      return store.dispatch(actionFuncs.updateUser(context))
+        .then(() => {
+          expect(store.getActions()[1]).toMatchObject({status: 'resolved', context});
+        });
+    });
+    it('should support literal and state defaults', () => {
+      const params = {orgId: getState => getState().session.orgId, version: 'v1'};
+      const actionFuncs = createActions(defaultActions, {resourceName, url: `${host}/:version/orgs/:orgId/users/:id`, params});
+      nock(host).get('/v1/orgs/3/users/1')
+        .reply(200, {id: 1});
+      nock(host).get('/v2/orgs/3/users')
+        .reply(200, []);
+      const store = mockStore({session: {orgId: 3}, users: {}});
+      return store.dispatch(actionFuncs.getUser(1))
+        .then(() => store.dispatch(actionFuncs.fetchUsers({version: 'v2'})))
+        .then(() => {
+          const actions = store.getActions();
+          expect(actions[1]).toMatchObject({status: 'resolved', body: {id: 1}});
+          expect(actions[3]).toMatchObject({status: 'resolved', body: []});
+        });
+    });
+  });
+  describe('`arrayFormat` option', () => {
+    it('should serialize arrays and nested objects', () => {
+      const actionFuncs = createActions({
+        ...defaultActions,
+        fetch: {...defaultActions.fetch, arrayFormat: 'repeat'}
+      }, {resourceName, url});
+      nock(host).get('/users?tags=a&tags=b&filter[role]=admin')
+        .reply(200, []);
+      const store = mockStore({users: {}});
+      return store.dispatch(actionFuncs.fetchUsers({}, {query: {tags: ['a', 'b'], filter: {role: 'admin'}, page: null}}))
+        .then(() => {
+          expect(store.getActions()[1]).toMatchObject({status: 'resolved', body: []});
+        });
+    });
+  });
   describe('`headers` option', () => {
     Object.assign(defaultHeaders, {'X-Custom-Default-Header': 'foobar'});
     it('should support defaults override', () => {
@@ -847,6 +924,52 @@ describe('reduceOptions', () => {
   afterEach(() => {
     nock.cleanAll();
   });
+  describe('`optimistic` option', () => {
+    it('should track the action lifecycle', () => {
+      const optimistic = true;
+      const actionFuncs = createActions({
+        ...defaultActions,
+        update: {...defaultActions.update, optimistic}
+      }, {resourceName, url});
+      const actionId = 'update';
+      const action = getActionName(actionId, {resourceName});
+      const type = '@@resource/USER/UPDATE';
+      const context = {id: 1, firstName: 'Olivier'};
+      const body = {ok: 1};
+      const code = 200;
+      const options = {optimistic: true};
+      nock(host).patch(`/users/${context.id}`, context)
+        .reply(code, body);
+      const store = mockStore({users: {}});
+      return store.dispatch(actionFuncs[action](context))
+        .then(() => {
+          const actions = store.getActions();
+          const {optimisticId} = actions[0];
+          expect(typeof optimisticId).toBe('string');
+          actions[1].receivedAt = null;
+          expect(actions).toEqual([
+            {status: 'pending', type, context, optimisticId},
+            {status: 'resolved', type, context, options, body, code, receivedAt: null, optimisticId}
+          ]);
+        });
+    });
+    it('should track the rejected action lifecycle', () => {
+      const actionFuncs = createActions(defaultActions, {resourceName, url});
+      const actionId = 'delete';
+      const action = getActionName(actionId, {resourceName});
+      const context = {id: 1};
+      nock(host).delete(`/users/${context.id}`)
+        .reply(500, {err: 'something awful happened'});
+      const store = mockStore({users: {}});
+      return expect(store.dispatch(actionFuncs[action](context, {optimistic: true})))
+        .rejects.toBeDefined()
+        .then(() => {
+          const actions = store.getActions();
+          expect(actions[1].status).toEqual('rejected');
+          expect(actions[1].optimisticId).toEqual(actions[0].optimisticId);
+        });
+    });
+  });
   describe('`isArray` option', () => {
     it('should support action override', () => {
       const isArray = true;
@@ -948,3 +1071,1004 @@ describe('reduceOptions', () => {
     });
   });
 });
+
+describe('requestCancellation', () => {
+  afterEach(() => {
+    nock.cleanAll();
+  });
+  const type = '@@resource/USER/FETCH';
+  const context = {};
+  const body = [{id: 1, firstName: 'Olivier'}];
+  const code = 200;
+  const options = {isArray: true};
+  it('should support aborting the returned promise', () => {
+    const actionFuncs = createActions(defaultActions, {resourceName, url});
+    nock(host).get('/users')
+      .delay(100)
+      .reply(code, body);
+    const store = mockStore({users: {}});
+    const request = store.dispatch(actionFuncs.fetchUsers(context));
+    expect(typeof request.abort).toBe('function');
+    request.abort();
+    return expect(request)
+      .rejects.toBeDefined()
+      .then(() => request.catch((err) => {
+        expect(err.name).toEqual('AbortError');
+        const actions = store.getActions();
+        actions[1].receivedAt = null;
+        expect(actions).toEqual([
+          {status: 'pending', type, context},
+          {status: 'cancelled', type, context, options, receivedAt: null}
+        ]);
+      }));
+  });
+  it('should support a `signal` context option', () => {
+    const actionFuncs = createActions(defaultActions, {resourceName, url});
+    nock(host).get('/users')
+      .delay(100)
+      .reply(code, body);
+    const listeners = [];
+    const signal = {aborted: false, addEventListener: (eventName, listener) => listeners.push(listener)};
+    const store = mockStore({users: {}});
+    const request = store.dispatch(actionFuncs.fetchUsers(context, {signal}));
+    listeners.forEach(listener => listener());
+    return expect(request)
+      .rejects.toBeDefined()
+      .then(() => {
+        const actions = store.getActions();
+        expect(actions.map(action => action.status)).toEqual(['pending', 'cancelled']);
+      });
+  });
+  describe('`concurrency` option', () => {
+    it('should support `takeLatest` mode', () => {
+      const concurrency = 'takeLatest';
+      const actionFuncs = createActions({
+        ...defaultActions,
+        fetch: {...defaultActions.fetch, concurrency}
+      }, {resourceName, url});
+      nock(host).get('/users')
+        .delay(100)
+        .reply(code, [])
+        .get('/users')
+        .reply(code, body);
+      const rootReducer = createRootReducer(defaultActions, {resourceName});
+      const store = mockStore({users: {}});
+      const getState = () => store.getActions().reduce(rootReducer, undefined);
+      const firstRequest = store.dispatch(actionFuncs.fetchUsers(context));
+      const lastRequest = store.dispatch(actionFuncs.fetchUsers(context));
+      // The superseded request is cancelled before the latest one is pending
+      expect(store.getActions().map(action => action.status)).toEqual(['pending', 'cancelled', 'pending']);
+      expect(getState().isFetching).toBe(true);
+      return expect(firstRequest)
+        .rejects.toBeDefined()
+        .then(() => {
+          expect(getState().isFetching).toBe(true);
+          return lastRequest;
+        })
+        .then((res) => {
+          expect(res.body).toEqual(body);
+          const actions = store.getActions();
+          expect(actions.map(action => action.status)).toEqual(['pending', 'cancelled', 'pending', 'resolved']);
+          expect(getState()).toMatchObject({isFetching: false, items: body});
+        });
+    });
+    it('should support `takeFirst` mode', () => {
+      const concurrency = 'takeFirst';
+      const actionFuncs = createActions({
+        ...defaultActions,
+        fetch: {...defaultActions.fetch, concurrency}
+      }, {resourceName, url});
+      nock(host).get('/users')
+        .reply(code, body);
+      const store = mockStore({users: {}});
+      const firstRequest = store.dispatch(actionFuncs.fetchUsers(context));
+      const lastRequest = store.dispatch(actionFuncs.fetchUsers(context));
+      expect(lastRequest).toBe(firstRequest);
+      return lastRequest
+        .then(() => {
+          const actions = store.getActions();
+          expect(actions.map(action => action.status)).toEqual(['pending', 'resolved']);
+        });
+    });
+    it('should support `queue` mode', () => {
+      const concurrency = 'queue';
+      const actionFuncs = createActions({
+        ...defaultActions,
+        fetch: {...defaultActions.fetch, concurrency}
+      }, {resourceName, url});
+      nock(host).get('/users')
+        .delay(50)
+        .reply(code, [])
+        .get('/users')
+        .reply(code, body);
+      const store = mockStore({users: {}});
+      store.dispatch(actionFuncs.fetchUsers(context));
+      const lastRequest = store.dispatch(actionFuncs.fetchUsers(context));
+      return lastRequest
+        .then((res) => {
+          expect(res.body).toEqual(body);
+          const actions = store.getActions();
+          expect(actions.map(action => action.status)).toEqual(['pending', 'resolved', 'pending', 'resolved']);
+        });
+    });
+  });
+});
+
+describe('retryOptions', () => {
+  afterEach(() => {
+    nock.cleanAll();
+  });
+  const context = {};
+  const body = [{id: 1, firstName: 'Olivier'}];
+  const code = 200;
+  const retry = {retries: 2, minDelay: 1, jitter: false};
+  it('should retry failed requests', () => {
+    const actionFuncs = createActions(defaultActions, {resourceName, url, retry});
+    nock(host).get('/users')
+      .reply(503, {err: 'Unavailable'})
+      .get('/users')
+      .reply(code, body);
+    const store = mockStore({users: {}});
+    return store.dispatch(actionFuncs.fetchUsers(context))
+      .then(() => {
+        const actions = store.getActions();
+        expect(actions.map(action => action.status)).toEqual(['pending', 'retrying', 'resolved']);
+        expect(actions[1]).toMatchObject({attempt: 1, retries: 2, delay: 1, code: 503});
+        expect(actions[2].body).toEqual(body);
+      });
+  });
+  describe('when aborting a request', () => {
+    const globals = {...defaultGlobals};
+    afterEach(() => {
+      Object.assign(defaultGlobals, globals);
+    });
+    const expectNoRetry = () => {
+      const actionFuncs = createActions(defaultActions, {resourceName, url, retry: {retries: 3, minDelay: 20, jitter: false}});
+      const scope = nock(host).get('/users')
+        .reply(503, {err: 'Unavailable'})
+        .get('/users')
+        .reply(code, body);
+      const store = mockStore({users: {}});
+      const request = store.dispatch(actionFuncs.fetchUsers(context));
+      setTimeout(() => request.abort(), 10);
+      return expect(request)
+        .rejects.toBeDefined()
+        .then(() => new Promise(resolve => setTimeout(resolve, 50)))
+        .then(() => {
+          expect(scope.isDone()).toBe(false);
+          expect(store.getActions().map(action => action.status)).toEqual(['pending', 'retrying', 'cancelled']);
+        });
+    };
+    it('should not send any scheduled retry', expectNoRetry);
+    it('should not send any scheduled retry without AbortController support', () => {
+      Object.assign(defaultGlobals, {AbortController: undefined});
+      return expectNoRetry();
+    });
+  });
+  it('should give up after the last attempt', () => {
+    const actionFuncs = createActions(defaultActions, {resourceName, url});
+    nock(host).get('/users')
+      .times(3)
+      .reply(500, {err: 'Error'});
+    const store = mockStore({users: {}});
+    return expect(store.dispatch(actionFuncs.fetchUsers(context, {retry})))
+      .rejects.toBeDefined()
+      .then(() => {
+        const actions = store.getActions();
+        expect(actions.map(action => action.status)).toEqual(['pending', 'retrying', 'retrying', 'rejected']);
+        expect(actions[2].delay).toEqual(2);
+      });
+  });
+  it('should respect the `Retry-After` header', () => {
+    const actionFuncs = createActions(defaultActions, {resourceName, url, retry});
+    nock(host).get('/users')
+      .reply(429, {err: 'Too Many Requests'}, {'Retry-After': '0'})
+      .get('/users')
+      .reply(code, body);
+    const store = mockStore({users: {}});
+    return store.dispatch(actionFuncs.fetchUsers(context))
+      .then(() => {
+        const actions = store.getActions();
+        expect(actions[1]).toMatchObject({status: 'retrying', delay: 0, code: 429});
+      });
+  });
+  it('should not retry non-eligible requests', () => {
+    const actionFuncs = createActions(defaultActions, {resourceName, url, retry});
+    nock(host).post('/users')
+      .reply(503, {err: 'Unavailable'});
+    nock(host).get('/users')
+      .reply(404, {err: 'Not Found'});
+    const store = mockStore({users: {}});
+    return expect(store.dispatch(actionFuncs.createUser({firstName: 'Olivier'})))
+      .rejects.toBeDefined()
+      .then(() => expect(store.dispatch(actionFuncs.fetchUsers(context))).rejects.toBeDefined())
+      .then(() => {
+        const actions = store.getActions();
+        expect(actions.map(action => action.status)).toEqual(['pending', 'rejected', 'pending', 'rejected']);
+      });
+  });
+});
+
+describe('timeoutOptions', () => {
+  afterEach(() => {
+    nock.cleanAll();
+  });
+  const context = {};
+  const body = [{id: 1, firstName: 'Olivier'}];
+  const code = 200;
+  it('should reject timed out requests', () => {
+    const actionFuncs = createActions(defaultActions, {resourceName, url, timeout: 10});
+    nock(host).get('/users')
+      .delay(100)
+      .reply(code, body);
+    const store = mockStore({users: {}});
+    const request = store.dispatch(actionFuncs.fetchUsers(context));
+    return expect(request)
+      .rejects.toBeDefined()
+      .then(() => request.catch((err) => {
+        expect(err.name).toEqual('TimeoutError');
+        expect(err.timeout).toEqual(10);
+        const actions = store.getActions();
+        expect(actions.map(action => action.status)).toEqual(['pending', 'rejected']);
+        expect(actions[1]).toMatchObject({isTimeout: true, err});
+        expect(actions[1].code).toBe(undefined);
+      }));
+  });
+  it('should support a per-call `timeout` option', () => {
+    const actionFuncs = createActions(defaultActions, {resourceName, url, timeout: 10});
+    nock(host).get('/users')
+      .delay(20)
+      .reply(code, body);
+    const store = mockStore({users: {}});
+    return store.dispatch(actionFuncs.fetchUsers(context, {timeout: 1000}))
+      .then(() => {
+        const actions = store.getActions();
+        expect(actions.map(action => action.status)).toEqual(['pending', 'resolved']);
+      });
+  });
+  it('should retry timed out requests', () => {
+    const actionFuncs = createActions(defaultActions, {resourceName, url, timeout: 10, retry: {retries: 1, minDelay: 1}});
+    nock(host).get('/users')
+      .delay(100)
+      .reply(code, body)
+      .get('/users')
+      .reply(code, body);
+    const store = mockStore({users: {}});
+    return store.dispatch(actionFuncs.fetchUsers(context))
+      .then(() => {
+        const actions = store.getActions();
+        expect(actions.map(action => action.status)).toEqual(['pending', 'retrying', 'resolved']);
+      });
+  });
+});
+
+describe('transformRequestOptions', () => {
+  afterEach(() => {
+    nock.cleanAll();
+  });
+  const context = {};
+  const body = [{id: 1, firstName: 'Olivier'}];
+  const code = 200;
+  it('should transform requests', () => {
+    const transformRequest = ({url: requestUrl, options, getState}) => ({
+      url: requestUrl.replace('/users', '/v2/users'),
+      options: {...options, headers: {...options.headers, Authorization: `Bearer ${getState().session.token}`}}
+    });
+    const actionFuncs = createActions(defaultActions, {resourceName, url, transformRequest});
+    nock(host).get('/v2/users')
+      .matchHeader('Authorization', 'Bearer foo')
+      .reply(code, body);
+    const store = mockStore({users: {}, session: {token: 'foo'}});
+    return store.dispatch(actionFuncs.fetchUsers(context))
+      .then(() => {
+        const actions = store.getActions();
+        expect(actions[1]).toMatchObject({status: 'resolved', body});
+      });
+  });
+  it('should support async transform chains', () => {
+    const transformRequest = [
+      request => Promise.resolve({...request, url: `${request.url}/1`}),
+      request => ({...request, options: {...request.options, method: 'HEAD'}})
+    ];
+    const actionFuncs = createActions({
+      get: {transformRequest, transformResponse: [res => ({code: res.status})]}
+    }, {resourceName, url});
+    nock(host).head('/users/1')
+      .reply(code);
+    const store = mockStore({users: {}});
+    return store.dispatch(actionFuncs.getUser())
+      .then(() => {
+        const actions = store.getActions();
+        expect(actions[1]).toMatchObject({status: 'resolved', code});
+      });
+  });
+  it('should support short-circuiting with a synthetic response', () => {
+    const response = {
+      ok: true,
+      status: code,
+      headers: {get: () => 'application/json'},
+      text: () => Promise.resolve(JSON.stringify(body))
+    };
+    const actionFuncs = createActions(defaultActions, {
+      resourceName,
+      url,
+      transformRequest: request => ({...request, response})
+    });
+    const store = mockStore({users: {}});
+    return store.dispatch(actionFuncs.fetchUsers(context))
+      .then(() => {
+        const actions = store.getActions();
+        expect(actions[1]).toMatchObject({status: 'resolved', body, code});
+      });
+  });
+});
+
+describe('uploadOptions', () => {
+  class FakeFormData {
+    constructor() {
+      this.entries = [];
+    }
+    append(key, value) {
+      this.entries.push([key, value]);
+    }
+  }
+  const requests = [];
+  class FakeXMLHttpRequest {
+    constructor() {
+      this.headers = {};
+      this.upload = {};
+      requests.push(this);
+    }
+    open(method, requestUrl) {
+      Object.assign(this, {method, url: requestUrl});
+    }
+    setRequestHeader(key, value) {
+      this.headers[key] = value;
+    }
+    getAllResponseHeaders() { // eslint-disable-line class-methods-use-this
+      return 'Content-Type: application/json\r\n';
+    }
+    send(body) {
+      this.body = body;
+      setTimeout(() => {
+        this.upload.onprogress({loaded: 50, total: 100, lengthComputable: true});
+        this.upload.onprogress({loaded: 100, total: 100, lengthComputable: true});
+        Object.assign(this, {status: 201, statusText: 'Created', responseText: JSON.stringify({id: 1, avatar: 'avatar.png'})});
+        this.onload();
+      });
+    }
+  }
+  const globals = {...defaultGlobals};
+  beforeEach(() => {
+    Object.assign(defaultGlobals, {FormData: FakeFormData, XMLHttpRequest: FakeXMLHttpRequest});
+  });
+  afterEach(() => {
+    Object.assign(defaultGlobals, globals);
+  });
+  it('should dispatch upload progress actions', () => {
+    const upload = {method: 'POST', url: `${url}/avatar`, multipart: true, progress: true};
+    const actionFuncs = createActions({upload}, {resourceName, url});
+    const store = mockStore({users: {}});
+    const context = {id: 1, avatar: 'data'};
+    return store.dispatch(actionFuncs.uploadUser(context))
+      .then(() => {
+        const request = requests[requests.length - 1];
+        expect(request.method).toEqual('POST');
+        expect(request.url).toEqual(`${host}/users/1/avatar`);
+        expect(request.body.entries).toEqual([['id', 1], ['avatar', 'data']]);
+        expect(request.headers['Content-Type']).toBe(undefined);
+        const actions = store.getActions();
+        expect(actions.map(action => action.status)).toEqual(['pending', 'progress', 'progress', 'resolved']);
+        expect(actions[1]).toMatchObject({loaded: 50, total: 100, progress: 0.5});
+        expect(actions[3]).toMatchObject({code: 201, body: {id: 1, avatar: 'avatar.png'}});
+      });
+  });
+  it('should only use XMLHttpRequest when tracking progress', () => {
+    const fetchedBodies = [];
+    const customFetch = (requestUrl, {body}) => {
+      fetchedBodies.push(body);
+      return Promise.resolve({
+        ok: true,
+        status: 201,
+        headers: {get: () => 'application/json'},
+        text: () => Promise.resolve(JSON.stringify({id: 1}))
+      });
+    };
+    Object.assign(defaultGlobals, {fetch: customFetch});
+    const requestCount = requests.length;
+    const actionFuncs = createActions({upload: {method: 'POST', url: `${url}/avatar`, multipart: true}}, {resourceName, url});
+    const store = mockStore({users: {}});
+    return store.dispatch(actionFuncs.uploadUser({id: 1, avatar: 'data'}))
+      .then(() => {
+        expect(requests.length).toEqual(requestCount);
+        expect(fetchedBodies[0]).toBeInstanceOf(FakeFormData);
+        expect(store.getActions().map(action => action.status)).toEqual(['pending', 'resolved']);
+      });
+  });
+  it('should reject multipart bodies without FormData support', () => {
+    Object.assign(defaultGlobals, {FormData: undefined});
+    const actionFuncs = createActions({upload: {method: 'POST', url: `${url}/avatar`, multipart: true}}, {resourceName, url});
+    const store = mockStore({users: {}});
+    return expect(store.dispatch(actionFuncs.uploadUser({id: 1, avatar: 'data'})))
+      .rejects.toBeInstanceOf(TypeError)
+      .then(() => {
+        expect(store.getActions()).toEqual([]);
+      });
+  });
+});
+
+describe('idKeyOptions', () => {
+  afterEach(() => {
+    nock.cleanAll();
+  });
+  it('should map scalar contexts to a custom key', () => {
+    const actionFuncs = createActions(defaultActions, {resourceName, url: `${host}/users/:uuid`, idKey: 'uuid'});
+    nock(host).delete('/users/f00')
+      .reply(204);
+    const store = mockStore({users: {}});
+    return store.dispatch(actionFuncs.deleteUser('f00'))
+      .then(() => {
+        expect(store.getActions()[1]).toMatchObject({status: 'resolved', context: 'f00'});
+      });
+  });
+  it('should resolve the `:id` param with a custom key', () => {
+    const actionFuncs = createActions(defaultActions, {resourceName, url, idKey: '_id'});
+    const context = {_id: 'f00', firstName: 'Olivier'};
+    nock(host).patch('/users/f00', context)
+      .reply(200, {ok: true});
+    const store = mockStore({users: {}});
+    return store.dispatch(actionFuncs.updateUser(context))
+      .then(() => {
+        expect(store.getActions()[1]).toMatchObject({status: 'resolved', context});
+      });
+  });
+  it('should support composite keys', () => {
+    const idKey = ['tenantId', 'slug'];
+    const actionFuncs = createActions(defaultActions, {
+      resourceName: 'page',
+      url: `${host}/tenants/:tenantId/pages/:slug`,
+      idKey
+    });
+    const item = {tenantId: 1, slug: 'home', title: 'Home'};
+    const store = mockStore({pages: {item, lastUpdatedItem: Date.now()}});
+    return store.dispatch(actionFuncs.getPage({tenantId: 1, slug: 'home'}, {cachePolicy: 'cache-first'}))
+      .then((action) => {
+        expect(action).toMatchObject({status: 'resolved', body: item, isCached: true});
+        nock(host).get('/tenants/2/pages/home')
+          .reply(200, {...item, tenantId: 2});
+        return store.dispatch(actionFuncs.getPage({tenantId: 2, slug: 'home'}, {cachePolicy: 'cache-first'}));
+      })
+      .then((action) => {
+        expect(action).toMatchObject({status: 'resolved', body: {...item, tenantId: 2}});
+        expect(action.isCached).toBe(undefined);
+      });
+  });
+});
+
+describe('parentOptions', () => {
+  const postsUrl = `${host}/users/:userId/posts/:id`;
+  afterEach(() => {
+    nock.cleanAll();
+  });
+  it('should scope requests to the parent', () => {
+    const actionFuncs = createActions(defaultActions, {resourceName: 'post', url: postsUrl, parent: 'userId'});
+    nock(host).get('/users/42/posts')
+      .reply(200, [{id: 1}]);
+    const store = mockStore({posts: {byParent: {}}});
+    return store.dispatch(actionFuncs.fetchPosts({userId: 42}))
+      .then(() => {
+        const actions = store.getActions();
+        expect(actions[0]).toMatchObject({status: 'pending', parentId: 42});
+        expect(actions[1]).toMatchObject({status: 'resolved', parentId: 42, body: [{id: 1}]});
+      });
+  });
+  it('should support a default parent', () => {
+    const parent = {param: 'userId', defaultValue: getState => getState().session.userId};
+    const actionFuncs = createActions(defaultActions, {resourceName: 'post', url: postsUrl, parent});
+    nock(host).delete('/users/42/posts/1')
+      .reply(204);
+    const store = mockStore({session: {userId: 42}, posts: {byParent: {}}});
+    return store.dispatch(actionFuncs.deletePost(1))
+      .then(() => {
+        expect(store.getActions()[1]).toMatchObject({status: 'resolved', context: 1, parentId: 42});
+      });
+  });
+  it('should require the parent', () => {
+    const actionFuncs = createActions(defaultActions, {resourceName: 'post', url: postsUrl, parent: 'userId'});
+    const store = mockStore({posts: {byParent: {}}});
+    return expect(store.dispatch(actionFuncs.fetchPosts()))
+      .rejects.toBeDefined()
+      .then(() => {
+        expect(store.getActions()).toEqual([]);
+      });
+  });
+  it('should serve cached data of the parent', () => {
+    const actionFuncs = createActions(defaultActions, {resourceName: 'post', url: postsUrl, parent: 'userId'});
+    const items = [{id: 1}];
+    const cacheKey = getListKey({params: {userId: 42}});
+    const store = mockStore({posts: {byParent: {42: {items, lastUpdated: Date.now(), cacheKey}}}});
+    return store.dispatch(actionFuncs.fetchPosts({userId: 42}, {cachePolicy: 'cache-first'}))
+      .then((action) => {
+        expect(action).toMatchObject({status: 'resolved', body: items, isCached: true, parentId: 42});
+      });
+  });
+});
+
+describe('bulkActions', () => {
+  const bulkActions = {...defaultActions, ...defaultBulkActions};
+  afterEach(() => {
+    nock.cleanAll();
+  });
+  it('should send an array body', () => {
+    const actionFuncs = createActions(bulkActions, {resourceName, url});
+    const context = [{id: 1, archived: true}, {id: 2, archived: true}];
+    nock(host).patch('/users', context)
+      .reply(200, context);
+    const store = mockStore({users: {}});
+    return store.dispatch(actionFuncs.updateManyUsers(context))
+      .then(() => {
+        expect(store.getActions()[1]).toMatchObject({type: '@@resource/USER/UPDATE_MANY', status: 'resolved', context});
+      });
+  });
+  it('should send ids along the query', () => {
+    const actionFuncs = createActions(bulkActions, {resourceName, url});
+    nock(host).delete('/users?ids=1,2')
+      .reply(204);
+    const store = mockStore({users: {}});
+    return store.dispatch(actionFuncs.deleteManyUsers([1, {id: 2}]))
+      .then(() => {
+        expect(store.getActions()[1]).toMatchObject({type: '@@resource/USER/DELETE_MANY', status: 'resolved', body: null});
+      });
+  });
+  it('should not send empty selections', () => {
+    const actionFuncs = createActions(bulkActions, {resourceName, url});
+    const store = mockStore({users: {}});
+    return Promise.all([store.dispatch(actionFuncs.deleteManyUsers([])), store.dispatch(actionFuncs.updateManyUsers([]))])
+      .then(([deleteAction, updateAction]) => {
+        expect(deleteAction).toMatchObject({type: '@@resource/USER/DELETE_MANY', status: 'resolved', context: []});
+        expect(updateAction).toMatchObject({type: '@@resource/USER/UPDATE_MANY', status: 'resolved', context: []});
+        expect(store.getActions()).toEqual([]);
+        expect(nock.isDone()).toBe(true);
+      });
+  });
+});
+
+describe('emptyResponses', () => {
+  afterEach(() => {
+    nock.cleanAll();
+  });
+  it('should resolve 204 responses', () => {
+    const actionFuncs = createActions(defaultActions, {resourceName, url});
+    nock(host).delete('/users/1')
+      .reply(204);
+    const store = mockStore({users: {}});
+    return store.dispatch(actionFuncs.deleteUser({id: 1}))
+      .then(() => {
+        const actions = store.getActions();
+        expect(actions[1]).toMatchObject({status: 'resolved', body: null, code: 204});
+      });
+  });
+  it('should resolve text responses', () => {
+    const actionFuncs = createActions(defaultActions, {resourceName, url});
+    nock(host).get('/users/1')
+      .reply(200, 'Olivier', {'Content-Type': 'text/plain'});
+    const store = mockStore({users: {}});
+    return store.dispatch(actionFuncs.getUser({id: 1}))
+      .then(() => {
+        const actions = store.getActions();
+        expect(actions[1]).toMatchObject({status: 'resolved', body: 'Olivier', code: 200});
+      });
+  });
+});
+
+describe('requestDeduplication', () => {
+  afterEach(() => {
+    nock.cleanAll();
+  });
+  const type = '@@resource/USER/GET';
+  const context = {id: 1};
+  const body = {id: 1, firstName: 'Olivier'};
+  const code = 200;
+  it('should share identical in-flight GET requests', () => {
+    const actionFuncs = createActions(defaultActions, {resourceName, url});
+    nock(host).get(`/users/${context.id}`)
+      .reply(code, body);
+    const store = mockStore({users: {}});
+    const firstRequest = store.dispatch(actionFuncs.getUser(context));
+    const lastRequest = store.dispatch(actionFuncs.getUser({...context}));
+    return Promise.all([firstRequest, lastRequest])
+      .then(([firstAction, lastAction]) => {
+        expect(firstAction.body).toEqual(body);
+        expect(lastAction.body).toEqual(body);
+        const actions = store.getActions();
+        actions[1].receivedAt = null;
+        expect(actions).toEqual([
+          {status: 'pending', type, context},
+          {status: 'resolved', type, context, options: {}, body, code, receivedAt: null}
+        ]);
+      });
+  });
+  it('should only abort shared requests once every caller did', () => {
+    const actionFuncs = createActions(defaultActions, {resourceName, url});
+    nock(host).get(`/users/${context.id}`)
+      .delay(20)
+      .reply(code, body)
+      .get(`/users/${context.id}`)
+      .delay(20)
+      .reply(code, body);
+    const store = mockStore({users: {}});
+    const firstRequest = store.dispatch(actionFuncs.getUser(context));
+    const lastRequest = store.dispatch(actionFuncs.getUser(context));
+    firstRequest.abort();
+    return expect(firstRequest).rejects.toBeDefined()
+      .then(() => lastRequest)
+      .then((action) => {
+        expect(action.body).toEqual(body);
+        expect(store.getActions().map(({status}) => status)).toEqual(['pending', 'resolved']);
+        store.clearActions();
+        const requests = [store.dispatch(actionFuncs.getUser(context)), store.dispatch(actionFuncs.getUser(context))];
+        requests.forEach(request => request.abort());
+        return Promise.all(requests.map(request => expect(request).rejects.toBeDefined()));
+      })
+      .then(() => {
+        expect(store.getActions().map(({status}) => status)).toEqual(['pending', 'cancelled']);
+      });
+  });
+  it('should not share requests with a different query', () => {
+    const actionFuncs = createActions(defaultActions, {resourceName, url});
+    nock(host).get(`/users/${context.id}?foo=bar`)
+      .reply(code, body)
+      .get(`/users/${context.id}?foo=baz`)
+      .reply(code, body);
+    const store = mockStore({users: {}});
+    const firstRequest = store.dispatch(actionFuncs.getUser(context, {query: {foo: 'bar'}}));
+    const lastRequest = store.dispatch(actionFuncs.getUser(context, {query: {foo: 'baz'}}));
+    expect(lastRequest).not.toBe(firstRequest);
+    return Promise.all([firstRequest, lastRequest])
+      .then(() => {
+        const actions = store.getActions();
+        expect(actions.map(action => action.status)).toEqual(['pending', 'pending', 'resolved', 'resolved']);
+      });
+  });
+  it('should not share requests with different headers or reduce options', () => {
+    const actionFuncs = createActions(defaultActions, {resourceName, url});
+    nock(host).get(`/users/${context.id}`)
+      .times(3)
+      .reply(code, body);
+    const store = mockStore({users: {}});
+    const requests = [
+      store.dispatch(actionFuncs.getUser(context)),
+      store.dispatch(actionFuncs.getUser(context, {headers: {'X-Tenant': 'foo'}})),
+      store.dispatch(actionFuncs.getUser(context, {assignResponse: true}))
+    ];
+    return Promise.all(requests)
+      .then((actions) => {
+        expect(actions.map(action => action.options)).toEqual([{}, {}, {assignResponse: true}]);
+        const statuses = store.getActions().map(action => action.status);
+        expect(statuses).toEqual(['pending', 'pending', 'pending', 'resolved', 'resolved', 'resolved']);
+      });
+  });
+  it('should support disabling deduplication', () => {
+    const actionFuncs = createActions(defaultActions, {resourceName, url});
+    nock(host).get(`/users/${context.id}`)
+      .twice()
+      .reply(code, body);
+    const store = mockStore({users: {}});
+    const firstRequest = store.dispatch(actionFuncs.getUser(context));
+    const lastRequest = store.dispatch(actionFuncs.getUser(context, {dedupe: false}));
+    expect(lastRequest).not.toBe(firstRequest);
+    return Promise.all([firstRequest, lastRequest]);
+  });
+});
+
+describe('cacheOptions', () => {
+  afterEach(() => {
+    nock.cleanAll();
+  });
+  const context = {};
+  const body = [{id: 1, firstName: 'Olivier'}];
+  const code = 200;
+  const cacheKey = getListKey();
+  const freshState = {users: {items: body, lastUpdated: Date.now(), didInvalidate: false, cacheKey}};
+  const staleState = {users: {items: body, lastUpdated: Date.now() - (60 * 1000), didInvalidate: false, cacheKey}};
+  describe('`cachePolicy` option', () => {
+    it('should hit the network by default', () => {
+      const actionFuncs = createActions(defaultActions, {resourceName, url});
+      nock(host).get('/users')
+        .reply(code, body);
+      const store = mockStore(freshState);
+      return store.dispatch(actionFuncs.fetchUsers(context))
+        .then(() => {
+          const actions = store.getActions();
+          expect(actions.map(action => action.status)).toEqual(['pending', 'resolved']);
+        });
+    });
+    it('should support `cache-first` policy with fresh data', () => {
+      const cachePolicy = 'cache-first';
+      const actionFuncs = createActions({
+        ...defaultActions,
+        fetch: {...defaultActions.fetch, cachePolicy}
+      }, {resourceName, url});
+      const store = mockStore(freshState);
+      return store.dispatch(actionFuncs.fetchUsers(context))
+        .then((res) => {
+          expect(res.body).toEqual(body);
+          expect(res.isCached).toBe(true);
+          expect(store.getActions()).toEqual([]);
+        });
+    });
+    it('should support `cache-first` policy with stale data', () => {
+      const cachePolicy = 'cache-first';
+      const maxAge = 30 * 1000;
+      const actionFuncs = createActions(defaultActions, {resourceName, url});
+      nock(host).get('/users')
+        .reply(code, body);
+      const store = mockStore(staleState);
+      return store.dispatch(actionFuncs.fetchUsers(context, {cachePolicy, maxAge}))
+        .then((res) => {
+          expect(res.isCached).toBe(undefined);
+          const actions = store.getActions();
+          expect(actions.map(action => action.status)).toEqual(['pending', 'resolved']);
+        });
+    });
+    it('should support `cache-first` policy with invalidated data', () => {
+      const cachePolicy = 'cache-first';
+      const actionFuncs = createActions(defaultActions, {resourceName, url});
+      nock(host).get('/users')
+        .reply(code, body);
+      const store = mockStore({users: {...freshState.users, didInvalidate: true}});
+      return store.dispatch(actionFuncs.fetchUsers(context, {cachePolicy}))
+        .then(() => {
+          const actions = store.getActions();
+          expect(actions.map(action => action.status)).toEqual(['pending', 'resolved']);
+        });
+    });
+    it('should only serve lists fetched with the same query', () => {
+      const cachePolicy = 'cache-first';
+      const actionFuncs = createActions(defaultActions, {resourceName, url, cachePolicy});
+      const rootReducer = createRootReducer(defaultActions, {resourceName});
+      const guests = [{id: 2, firstName: 'Aurore'}];
+      nock(host).get('/users?role=admin')
+        .reply(code, body)
+        .get('/users?role=guest')
+        .reply(code, guests);
+      const store = mockStore(actions => ({users: actions.reduce(rootReducer, undefined)}));
+      return store.dispatch(actionFuncs.fetchUsers(context, {query: {role: 'admin'}}))
+        .then(() => store.dispatch(actionFuncs.fetchUsers(context, {query: {role: 'guest'}})))
+        .then((res) => {
+          expect(res.isCached).toBe(undefined);
+          expect(res.body).toEqual(guests);
+          return store.dispatch(actionFuncs.fetchUsers(context, {query: {role: 'guest'}}));
+        })
+        .then((res) => {
+          expect(res.isCached).toBe(true);
+          expect(res.body).toEqual(guests);
+          expect(store.getActions().map(action => action.status)).toEqual(['pending', 'resolved', 'pending', 'resolved']);
+        });
+    });
+    it('should support `cache-first` policy for a single item', () => {
+      const cachePolicy = 'cache-first';
+      const actionFuncs = createActions(defaultActions, {resourceName, url, cachePolicy});
+      nock(host).get('/users/2')
+        .reply(code, {id: 2});
+      const store = mockStore({users: {item: {id: 1}, lastUpdatedItem: Date.now(), didInvalidateItem: false}});
+      return store.dispatch(actionFuncs.getUser({id: 1}))
+        .then((res) => {
+          expect(res.body).toEqual({id: 1});
+          return store.dispatch(actionFuncs.getUser({id: 2}));
+        })
+        .then((res) => {
+          expect(res.body).toEqual({id: 2});
+          const actions = store.getActions();
+          expect(actions.map(action => action.status)).toEqual(['pending', 'resolved']);
+        });
+    });
+    it('should support `stale-while-revalidate` policy', () => {
+      const cachePolicy = 'stale-while-revalidate';
+      const maxAge = 30 * 1000;
+      const actionFuncs = createActions(defaultActions, {resourceName, url});
+      const updatedBody = [{id: 1, firstName: 'Olivia'}];
+      nock(host).get('/users')
+        .reply(code, updatedBody);
+      const store = mockStore(staleState);
+      const request = store.dispatch(actionFuncs.fetchUsers(context, {cachePolicy, maxAge}));
+      return request
+        .then((res) => {
+          expect(res.body).toEqual(body);
+          expect(res.isCached).toBe(true);
+          return new Promise(resolve => setTimeout(resolve, 50));
+        })
+        .then(() => {
+          const actions = store.getActions();
+          expect(actions.map(action => action.status)).toEqual(['pending', 'resolved']);
+          expect(actions[1].body).toEqual(updatedBody);
+        });
+    });
+    it('should support a custom `statePath` option', () => {
+      const cachePolicy = 'cache-first';
+      const statePath = 'entities.users';
+      const actionFuncs = createActions(defaultActions, {resourceName, url, statePath, cachePolicy});
+      const store = mockStore({entities: freshState});
+      return store.dispatch(actionFuncs.fetchUsers(context))
+        .then((res) => {
+          expect(res.isCached).toBe(true);
+          expect(store.getActions()).toEqual([]);
+        });
+    });
+  });
+  describe('invalidation actions', () => {
+    it('should dispatch invalidated actions', () => {
+      const actionFuncs = createActions(defaultActions, {resourceName, url});
+      const store = mockStore({users: {}});
+      store.dispatch(actionFuncs.invalidateUsers());
+      store.dispatch(actionFuncs.invalidateUser({id: 1}));
+      expect(store.getActions()).toEqual([
+        {type: '@@resource/USER/FETCH', status: 'invalidated', context: undefined},
+        {type: '@@resource/USER/GET', status: 'invalidated', context: {id: 1}}
+      ]);
+    });
+  });
+});
+
+describe('paginationOptions', () => {
+  afterEach(() => {
+    nock.cleanAll();
+  });
+  const context = {};
+  const code = 200;
+  const pagination = {pageParam: 'page'};
+  const paginatedActions = {...defaultActions, fetch: {...defaultActions.fetch, pagination}};
+  it('should generate page action creators', () => {
+    const actionFuncs = createActions(paginatedActions, {resourceName, url});
+    expect(typeof actionFuncs.fetchUsersNextPage).toBe('function');
+    expect(typeof actionFuncs.fetchUsersPreviousPage).toBe('function');
+  });
+  it('should parse Link headers', () => {
+    const actionFuncs = createActions(paginatedActions, {resourceName, url});
+    const body = [{id: 1, firstName: 'Olivier'}];
+    nock(host).get('/users')
+      .reply(code, body, {Link: `<${host}/users?page=2>; rel="next"`});
+    const store = mockStore({users: {}});
+    return store.dispatch(actionFuncs.fetchUsers(context))
+      .then((res) => {
+        expect(res.body).toEqual(body);
+        expect(res.pagination).toEqual({
+          page: 1,
+          totalCount: undefined,
+          hasMore: true,
+          links: {next: `${host}/users?page=2`},
+          merge: 'replace'
+        });
+      });
+  });
+  it('should unwrap body envelopes', () => {
+    const envelope = {items: 'data', page: 'page', totalCount: 'total'};
+    const actionFuncs = createActions(defaultActions, {resourceName, url});
+    const body = [{id: 1, firstName: 'Olivier'}];
+    nock(host).get('/users')
+      .reply(code, {data: body, page: 1, total: 1});
+    const store = mockStore({users: {}});
+    return store.dispatch(actionFuncs.fetchUsers(context, {pagination: {envelope}}))
+      .then((res) => {
+        expect(res.body).toEqual(body);
+        expect(res.pagination).toEqual({page: 1, totalCount: 1, hasMore: false, merge: 'replace'});
+      });
+  });
+  it('should fetch the next page from the Link header', () => {
+    const actionFuncs = createActions(paginatedActions, {resourceName, url});
+    const body = [{id: 2, firstName: 'Aurore'}];
+    nock(host).get('/users?page=2')
+      .reply(code, body, {'Content-Range': 'items 1-1/2'});
+    const store = mockStore({users: {page: 1, hasMore: true, pageLinks: {next: `${host}/users?page=2`}}});
+    return store.dispatch(actionFuncs.fetchUsersNextPage(context))
+      .then((res) => {
+        expect(res.body).toEqual(body);
+        expect(res.pagination).toEqual({page: 2, totalCount: 2, hasMore: false, merge: 'append'});
+      });
+  });
+  it('should stop after a short last page', () => {
+    const actionFuncs = createActions(paginatedActions, {resourceName, url});
+    const body = [{id: 21}, {id: 22}, {id: 23}, {id: 24}, {id: 25}];
+    const items = Array.from({length: 20}, (value, index) => ({id: index + 1}));
+    nock(host).get('/users?page=3')
+      .reply(code, body, {'X-Total-Count': '25'});
+    const store = mockStore({users: {items, page: 2, hasMore: true, pageLinks: {}}});
+    return store.dispatch(actionFuncs.fetchUsersNextPage(context))
+      .then((res) => {
+        expect(res.pagination).toEqual({page: 3, totalCount: 25, hasMore: false, merge: 'append'});
+      });
+  });
+  it('should fetch the previous page from the page number', () => {
+    const actionFuncs = createActions(paginatedActions, {resourceName, url});
+    const body = [{id: 1, firstName: 'Olivier'}];
+    nock(host).get('/users?page=1')
+      .reply(code, body);
+    const store = mockStore({users: {page: 2, hasMore: false, pageLinks: {}}});
+    return store.dispatch(actionFuncs.fetchUsersPreviousPage(context))
+      .then((res) => {
+        expect(res.pagination.merge).toEqual('prepend');
+        expect(res.pagination.page).toEqual(1);
+      });
+  });
+  it('should paginate query-keyed lists', () => {
+    const actionFuncs = createActions(paginatedActions, {resourceName, url});
+    const rootReducer = createRootReducer(paginatedActions, {resourceName});
+    const query = {role: 'admin'};
+    const listKey = getListKey({query});
+    nock(host).get('/users?role=admin')
+      .reply(code, [{id: 1}], {'X-Total-Count': '2'})
+      .get('/users?role=admin&page=2')
+      .reply(code, [{id: 2}], {'X-Total-Count': '2'});
+    const store = mockStore(actions => ({users: actions.reduce(rootReducer, undefined)}));
+    return store.dispatch(actionFuncs.fetchUsers(context, {query, byQuery: true}))
+      .then(() => store.dispatch(actionFuncs.fetchUsersNextPage(context, {query, byQuery: true})))
+      .then((res) => {
+        expect(res.pagination).toEqual({page: 2, totalCount: 2, hasMore: false, merge: 'append'});
+        const {lists} = store.getState().users;
+        expect(Object.keys(lists)).toEqual([listKey]);
+        expect(lists[listKey]).toMatchObject({page: 2, hasMore: false, items: [{id: 1}, {id: 2}]});
+        return store.dispatch(actionFuncs.fetchUsersNextPage(context, {query, byQuery: true}));
+      })
+      .then((res) => {
+        expect(res).toBe(null);
+      });
+  });
+  it('should not fetch beyond the last page', () => {
+    const actionFuncs = createActions(paginatedActions, {resourceName, url});
+    const store = mockStore({users: {page: 2, hasMore: false, pageLinks: {}}});
+    const request = store.dispatch(actionFuncs.fetchUsersNextPage(context));
+    expect(typeof request.abort).toBe('function');
+    return request
+      .then((res) => {
+        expect(res).toBe(null);
+        expect(store.getActions()).toEqual([]);
+      });
+  });
+});
+
+describe('queryKeyedLists', () => {
+  afterEach(() => {
+    nock.cleanAll();
+  });
+  const context = {};
+  const body = [{id: 1, firstName: 'Olivier', role: 'admin'}];
+  const code = 200;
+  const query = {role: 'admin'};
+  const listKey = getListKey({query});
+  it('should dispatch actions with a `listKey`', () => {
+    const actionFuncs = createActions(defaultActions, {resourceName, url});
+    nock(host).get('/users?role=admin')
+      .reply(code, body);
+    const store = mockStore({users: {}});
+    return store.dispatch(actionFuncs.fetchUsers(context, {query, byQuery: true}))
+      .then(() => {
+        const actions = store.getActions();
+        expect(actions.map(action => action.listKey)).toEqual([listKey, listKey]);
+        expect(actions[1].body).toEqual(body);
+      });
+  });
+  it('should include url params in the `listKey`', () => {
+    const actionFuncs = createActions({fetch: {...defaultActions.fetch, byQuery: true}}, {
+      resourceName,
+      url: `${host}/teams/:teamId/users`
+    });
+    nock(host).get('/teams/1/users')
+      .reply(code, body);
+    const store = mockStore({users: {}});
+    return store.dispatch(actionFuncs.fetchUsers({teamId: 1}))
+      .then(() => {
+        const actions = store.getActions();
+        expect(actions[0].listKey).toEqual(getListKey({params: {teamId: 1}}));
+      });
+  });
+  it('should serve keyed lists from the cache', () => {
+    const actionFuncs = createActions(defaultActions, {resourceName, url});
+    const store = mockStore({users: {items: [], lists: {[listKey]: {items: body, lastUpdated: Date.now()}}}});
+    return store.dispatch(actionFuncs.fetchUsers(context, {query, byQuery: true, cachePolicy: 'cache-first'}))
+      .then((res) => {
+        expect(res.body).toEqual(body);
+        expect(res.isCached).toBe(true);
+        expect(store.getActions()).toEqual([]);
+      });
+  });
+});
@@ -0,0 +1,268 @@
+import expect from 'expect';
+import {URLSearchParams} from 'url';
+
+import {defaultDecoders, defaultGlobals} from '../../src/defaults';
+import {decodeResponse, parseCsv} from '../../src/helpers/decode';
+import {createIdResolver, getContextParams} from '../../src/helpers/id';
+import {
+  TimeoutError,
+  buildFetchOpts,
+  buildFetchUrl,
+  getRetryDelay,
+  getRetryOpts,
+  parseRetryAfter
+} from '../../src/helpers/fetch';
+import {parseLinkHeader, parseContentRange, parsePagination} from '../../src/helpers/pagination';
+import {appendQueryToUrl, serializeQuery} from '../../src/helpers/url';
+
+const createResponse = ({url = 'http://localhost:3000/users', headers = {}} = {}) => ({
+  url,
+  headers: {get: name => headers[name] || null}
+});
+
+describe('pagination', () => {
+  describe('parseLinkHeader', () => {
+    it('should properly parse links', () => {
+      const header = '<http://localhost:3000/users?page=3>; rel="next", <http://localhost:3000/users?page=1>; rel="prev first"';
+      expect(parseLinkHeader(header)).toEqual({
+        next: 'http://localhost:3000/users?page=3',
+        prev: 'http://localhost:3000/users?page=1',
+        first: 'http://localhost:3000/users?page=1'
+      });
+      expect(parseLinkHeader(null)).toEqual({});
+    });
+  });
+  describe('parseContentRange', () => {
+    it('should properly parse ranges', () => {
+      expect(parseContentRange('items 0-24/319')).toEqual({unit: 'items', start: 0, end: 24, total: 319});
+      expect(parseContentRange('items 25-49/*')).toEqual({unit: 'items', start: 25, end: 49, total: undefined});
+      expect(parseContentRange('foo')).toEqual(null);
+    });
+  });
+  describe('parsePagination', () => {
+    const body = [{id: 1}, {id: 2}];
+    it('should support Link headers', () => {
+      const res = createResponse({headers: {Link: '<http://localhost:3000/users?page=3>; rel="next"', 'X-Total-Count': '6'}});
+      expect(parsePagination(res, body)).toEqual({
+        body,
+        pagination: {page: 2, totalCount: 6, hasMore: true, links: {next: 'http://localhost:3000/users?page=3'}}
+      });
+    });
+    it('should support Content-Range headers', () => {
+      const res = createResponse({headers: {'Content-Range': 'items 2-3/4'}});
+      expect(parsePagination(res, body)).toEqual({body, pagination: {page: 2, totalCount: 4, hasMore: false}});
+    });
+    it('should support body envelopes', () => {
+      const res = createResponse({url: 'http://localhost:3000/users?page=1'});
+      const envelope = {items: 'data', totalCount: 'meta.total'};
+      expect(parsePagination(res, {data: body, meta: {total: 5}}, {envelope}))
+        .toEqual({body, pagination: {page: 1, totalCount: 5, hasMore: true}});
+    });
+    it('should detect short and empty last pages', () => {
+      const lastPage = [{id: 21}, {id: 22}, {id: 23}, {id: 24}, {id: 25}];
+      const res = createResponse({url: 'http://localhost:3000/users?page=3', headers: {'X-Total-Count': '25'}});
+      expect(parsePagination(res, lastPage, {pageSize: 10}).pagination.hasMore).toBe(false);
+      expect(parsePagination(res, lastPage, {previousCount: 20}).pagination.hasMore).toBe(false);
+      expect(parsePagination(res, lastPage, {previousCount: 15}).pagination.hasMore).toBe(true);
+      const emptyRes = createResponse({url: 'http://localhost:3000/users?page=4', headers: {'X-Total-Count': '25'}});
+      expect(parsePagination(emptyRes, []).pagination.hasMore).toBe(false);
+    });
+  });
+});
+
+describe('retry', () => {
+  describe('getRetryOpts', () => {
+    it('should support a number of retries', () => {
+      expect(getRetryOpts(3).retries).toEqual(3);
+      expect(getRetryOpts(undefined).retries).toEqual(0);
+      expect(getRetryOpts({retries: 2, minDelay: 100})).toMatchObject({retries: 2, minDelay: 100, factor: 2});
+    });
+  });
+  describe('getRetryDelay', () => {
+    it('should exponentially increase delays', () => {
+      const retryOpts = {minDelay: 100, maxDelay: 1000, factor: 2, jitter: false};
+      expect([0, 1, 2, 3, 4].map(attempt => getRetryDelay(attempt, retryOpts))).toEqual([100, 200, 400, 800, 1000]);
+    });
+    it('should apply a jitter', () => {
+      const delay = getRetryDelay(2, {minDelay: 100, maxDelay: 1000, factor: 2, jitter: true});
+      expect(delay).toBeGreaterThanOrEqual(200);
+      expect(delay).toBeLessThanOrEqual(400);
+    });
+  });
+  describe('parseRetryAfter', () => {
+    it('should parse delay-seconds and http-date values', () => {
+      expect(parseRetryAfter('120')).toEqual(120000);
+      expect(parseRetryAfter(new Date(Date.now() + 60000).toUTCString())).toBeGreaterThan(50000);
+      expect(parseRetryAfter(new Date(Date.now() - 60000).toUTCString())).toEqual(0);
+      expect(parseRetryAfter(null)).toBe(null);
+      expect(parseRetryAfter('foo')).toBe(null);
+    });
+  });
+});
+
+describe('errors', () => {
+  describe('TimeoutError', () => {
+    it('should expose the timeout', () => {
+      const err = new TimeoutError(1000);
+      expect(err.name).toEqual('TimeoutError');
+      expect(err.message).toEqual('The request has timed out after 1000ms');
+      expect(err.timeout).toEqual(1000);
+      expect(err.statusCode).toBe(null);
+    });
+  });
+});
+
+describe('bodies', () => {
+  class FakeFormData {
+    constructor() {
+      this.entries = [];
+    }
+    append(key, value) {
+      this.entries.push([key, value]);
+    }
+  }
+  const globals = {...defaultGlobals};
+  beforeEach(() => {
+    Object.assign(defaultGlobals, {FormData: FakeFormData, URLSearchParams});
+  });
+  afterEach(() => {
+    Object.assign(defaultGlobals, globals);
+  });
+  describe('buildFetchOpts', () => {
+    it('should serialize the context as JSON by default', () => {
+      const opts = buildFetchOpts({firstName: 'Olivier'}, {method: 'POST'});
+      expect(opts.body).toEqual('{"firstName":"Olivier"}');
+      expect(opts.headers['Content-Type']).toEqual('application/json');
+    });
+    it('should send native bodies as-is', () => {
+      const body = new URLSearchParams({firstName: 'Olivier'});
+      const opts = buildFetchOpts(body, {method: 'POST', headers: {Authorization: 'Bearer foo'}});
+      expect(opts.body).toBe(body);
+      expect(opts.headers).toEqual({Accept: 'application/json', Authorization: 'Bearer foo'});
+    });
+    it('should support the `multipart` option', () => {
+      const context = {firstName: 'Olivier', tags: ['foo', 'bar'], meta: {admin: true}, avatar: null};
+      const opts = buildFetchOpts(context, {method: 'POST', multipart: true});
+      expect(opts.body).toBeInstanceOf(FakeFormData);
+      expect(opts.body.entries).toEqual([
+        ['firstName', 'Olivier'],
+        ['tags', 'foo'],
+        ['tags', 'bar'],
+        ['meta', '{"admin":true}']
+      ]);
+      expect(opts.headers['Content-Type']).toBe(undefined);
+    });
+  });
+});
+
+describe('decode', () => {
+  const createDecodedResponse = ({status = 200, contentType = null, body = ''} = {}) => ({
+    status,
+    headers: {get: name => (name === 'Content-Type' ? contentType : null)},
+    text: () => Promise.resolve(body),
+    blob: () => Promise.resolve({size: body.length})
+  });
+  describe('parseCsv', () => {
+    it('should properly parse rows', () => {
+      expect(parseCsv('id,name\r\n1,"Doe, ""John"""\n2,Jane\n')).toEqual([['id', 'name'], ['1', 'Doe, "John"'], ['2', 'Jane']]);
+    });
+  });
+  describe('decodeResponse', () => {
+    it('should decode bodies by content type', () => {
+      const responses = [
+        createDecodedResponse({contentType: 'application/json; charset=utf-8', body: '{"id":1}'}),
+        createDecodedResponse({contentType: 'application/hal+json', body: '{"id":1}'}),
+        createDecodedResponse({contentType: 'text/plain', body: '{"id":1}'}),
+        createDecodedResponse({contentType: 'text/csv', body: 'id\n1'}),
+        createDecodedResponse({contentType: 'image/png', body: 'png'}),
+        createDecodedResponse({body: '{"id":1}'}),
+        createDecodedResponse({body: 'foo'})
+      ];
+      return Promise.all(responses.map(res => decodeResponse(res, defaultDecoders)))
+        .then((results) => {
+          expect(results.map(({body}) => body)).toEqual([
+            {id: 1},
+            {id: 1},
+            '{"id":1}',
+            [['id'], ['1']],
+            {size: 3},
+            {id: 1},
+            'foo'
+          ]);
+        });
+    });
+    it('should handle empty bodies', () => {
+      expect(decodeResponse(createDecodedResponse({status: 204}), defaultDecoders)).toEqual({body: null, code: 204});
+      return decodeResponse(createDecodedResponse({contentType: 'application/json'}), defaultDecoders)
+        .then((payload) => {
+          expect(payload).toEqual({body: null, code: 200});
+        });
+    });
+  });
+});
+
+describe('id', () => {
+  describe('createIdResolver', () => {
+    it('should resolve identifiers', () => {
+      const item = {id: 1, _id: 'f00', tenantId: 2, slug: 'home'};
+      expect(createIdResolver()(item)).toBe(1);
+      expect(createIdResolver('_id')(item)).toBe('f00');
+      expect(createIdResolver(['tenantId', 'slug'])(item)).toBe('[2,"home"]');
+      expect(createIdResolver(['tenantId', 'slug'])({tenantId: 2})).toBe(undefined);
+      expect(createIdResolver(someItem => someItem.slug)(item)).toBe('home');
+    });
+  });
+  describe('getContextParams', () => {
+    it('should map contexts to url params', () => {
+      expect(getContextParams(1)).toEqual({id: 1});
+      expect(getContextParams('f00', 'uuid')).toEqual({id: 'f00', uuid: 'f00'});
+      expect(getContextParams({uuid: 'f00'}, 'uuid')).toEqual({id: 'f00', uuid: 'f00'});
+      expect(getContextParams({id: 1, uuid: 'f00'}, 'uuid')).toEqual({id: 1, uuid: 'f00'});
+    });
+  });
+});
+
+describe('url', () => {
+  describe('serializeQuery', () => {
+    it('should support array formats', () => {
+      const query = {tags: ['a', 'b'], page: 1};
+      expect(serializeQuery(query)).toBe('tags[]=a&tags[]=b&page=1');
+      expect(serializeQuery(query, {arrayFormat: 'repeat'})).toBe('tags=a&tags=b&page=1');
+      expect(serializeQuery(query, {arrayFormat: 'indices'})).toBe('tags[0]=a&tags[1]=b&page=1');
+      expect(serializeQuery(query, {arrayFormat: 'comma'})).toBe('tags=a,b&page=1');
+      expect(() => serializeQuery(query, {arrayFormat: 'foo'})).toThrow();
+    });
+    it('should support nested objects', () => {
+      const query = {filter: {name: 'Olivier', age: {gt: 18}, roles: ['admin']}, sort: [{field: 'name'}]};
+      expect(serializeQuery(query)).toBe('filter[name]=Olivier&filter[age][gt]=18&filter[roles][]=admin&sort[0][field]=name');
+    });
+    it('should encode and omit values', () => {
+      const query = {
+        q: 'foo bar&baz',
+        'a b': 'é',
+        empty: '',
+        none: null,
+        missing: undefined,
+        tags: [null, 'a'],
+        at: new Date(0)
+      };
+      expect(serializeQuery(query)).toBe('q=foo+bar%26baz&a+b=%C3%A9&empty=&tags[]=a&at=1970-01-01T00:00:00.000Z');
+    });
+  });
+  describe('buildFetchUrl', () => {
+    it('should resolve url params defaults', () => {
+      const url = 'https://foo.com/orgs/:orgId/users/:userId';
+      const urlParams = {orgId: {}, userId: {}};
+      const params = {orgId: 3, userId: '@profile.id'};
+      expect(buildFetchUrl({profile: {id: 1}}, {url, urlParams, params})).toBe('https://foo.com/orgs/3/users/1');
+      expect(buildFetchUrl({orgId: 4, userId: 2}, {url, urlParams, params})).toBe('https://foo.com/orgs/4/users/2');
+      expect(buildFetchUrl({}, {url, urlParams, params})).toBe('https://foo.com/orgs/3/users');
+    });
+  });
+  describe('appendQueryToUrl', () => {
+    it('should override existing params', () => {
+      expect(appendQueryToUrl('/users?apiKey=foo&tags[]=a', {tags: ['b'], page: 2})).toBe('/users?apiKey=foo&tags[]=b&page=2');
+      expect(appendQueryToUrl('/users?page=1', {page: null})).toBe('/users');
+    });
+  });
+});
@@ -0,0 +1,97 @@
+import expect from 'expect';
+
+import {createResource, initialState} from '../../src';
+
+// Configuration
+const name = 'user';
+const host = 'http://localhost:3000';
+const url = `${host}/users/:id`;
+
+describe('dehydrate', () => {
+  it('should keep data and timestamps while resetting in-flight flags', () => {
+    const {dehydrate} = createResource({name, url});
+    const state = {
+      ...initialState,
+      isFetching: true,
+      isUpdating: true,
+      items: [{id: 1, firstName: 'Olivia'}],
+      lastUpdated: 1508408184526,
+      lists: {'{}': {ids: [1], isFetching: true, lastUpdated: 1508408184526}},
+      statusById: {1: {isUpdating: true, updateError: null}, 2: {isQueued: true, isDeleting: false}},
+      optimisticSnapshots: {'@@optimistic/1': {id: 1}, '@@optimistic/2': {id: 2}},
+      outbox: [{id: '@@outbox/1', actionName: 'deleteUser', context: {id: 2}, optimisticId: '@@optimistic/2'}]
+    };
+    const payload = dehydrate(state);
+    expect(payload.version).toEqual(1);
+    expect(payload.state).toMatchObject({
+      isFetching: false,
+      isUpdating: false,
+      items: [{id: 1, firstName: 'Olivia'}],
+      lastUpdated: 1508408184526,
+      lists: {'{}': {ids: [1], isFetching: false, lastUpdated: 1508408184526}},
+      statusById: {1: {isUpdating: false, updateError: null}, 2: {isQueued: true, isDeleting: false}},
+      optimisticSnapshots: {'@@optimistic/2': {id: 2}},
+      outbox: state.outbox
+    });
+    expect(JSON.parse(JSON.stringify(payload))).toEqual(payload);
+  });
+  it('should rollback in-flight optimistic changes', () => {
+    const {dehydrate, rootReducer, types} = createResource({name, url});
+    const items = [{id: 1, firstName: 'Olivier'}, {id: 2, firstName: 'Aurore'}];
+    const actions = [
+      {type: types.FETCH_USERS, status: 'resolved', body: items},
+      {type: types.CREATE_USER, status: 'pending', context: {firstName: 'John'}, optimisticId: '@@optimistic/1'},
+      {type: types.UPDATE_USER, status: 'pending', context: {id: 1, firstName: 'Olivia'}, optimisticId: '@@optimistic/2'},
+      {type: types.DELETE_USER, status: 'pending', context: {id: 2}, optimisticId: '@@optimistic/3'}
+    ];
+    const state = actions.reduce(rootReducer, undefined);
+    expect(state.items).toEqual([{id: 1, firstName: 'Olivia'}, {id: '@@optimistic/1', firstName: 'John'}]);
+    const payload = dehydrate(state);
+    expect(payload.state.items).toEqual(items);
+    expect(payload.state.optimisticSnapshots).toEqual({});
+    expect(payload.state).toMatchObject({isCreating: false, isUpdating: false, isDeleting: false});
+  });
+  it('should clean the state of every parent', () => {
+    const {dehydrate} = createResource({name: 'post', url: `${host}/users/:userId/posts/:id`, parent: 'userId'});
+    const state = {byParent: {1: {
+      ...initialState,
+      isFetching: true,
+      items: [{id: 3}, {id: '@@optimistic/1'}],
+      optimisticSnapshots: {'@@optimistic/1': {id: '@@optimistic/1', actionType: '@@resource/POST/CREATE'}}
+    }}};
+    expect(dehydrate(state).state.byParent[1]).toMatchObject({isFetching: false, items: [{id: 3}], optimisticSnapshots: {}});
+  });
+});
+
+describe('rehydrate', () => {
+  it('should restore a dehydrated state', () => {
+    const {dehydrate, rehydrate} = createResource({name, url});
+    const state = {...initialState, isFetching: true, items: [{id: 1}], lastUpdated: 1508408184526};
+    expect(rehydrate(dehydrate(state))).toEqual({...state, isFetching: false});
+    expect(rehydrate({version: 1, state: {isFetching: true, items: [{id: 1}]}})).toEqual({...initialState, items: [{id: 1}]});
+  });
+  it('should fallback to the initial state', () => {
+    const {rehydrate} = createResource({name, url, normalize: true});
+    expect(rehydrate(undefined)).toMatchObject({byId: {}, allIds: []});
+    expect(rehydrate({version: 2, state: {byId: {1: {id: 1}}, allIds: [1]}}).allIds).toEqual([]);
+  });
+  it('should apply migrations in order', () => {
+    const hydration = {
+      version: 3,
+      migrations: {
+        3: state => ({...state, items: state.items.map(item => ({...item, role: 'guest'}))}),
+        2: state => ({...state, items: state.users})
+      }
+    };
+    const {dehydrate, rehydrate} = createResource({name, url, hydration});
+    expect(rehydrate({version: 1, state: {users: [{id: 1}]}}).items).toEqual([{id: 1, role: 'guest'}]);
+    expect(dehydrate(initialState).version).toEqual(3);
+  });
+  it('should fill the state of every parent', () => {
+    const {rehydrate} = createResource({name: 'post', url: `${host}/users/:userId/posts/:id`, parent: 'userId'});
+    expect(rehydrate({version: 1, state: {byParent: {1: {items: [{id: 3}]}}}})).toEqual({
+      byParent: {1: {...initialState, items: [{id: 3}]}}
+    });
+    expect(rehydrate(null)).toEqual({byParent: {}});
+  });
+});
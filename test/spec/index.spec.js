@@ -14,21 +14,31 @@ describe('lib', () => {
 
 describe('createResource', () => {
   it('should properly return an object with properly named keys', () => {
-    const {types, actions, reducers} = createResource({name, url});
+    const {types, actions, reducers, selectors} = createResource({name, url});
     expect(typeof types).toBe('object');
     expect(typeof actions).toBe('object');
     expect(typeof reducers).toBe('function');
+    expect(typeof selectors).toBe('object');
   });
   it('should properly merge action opts', () => {
     const {types, actions, reducers} = createResource({name, url, actions: {get: {foo: 'bar'}, charge: {method: 'post'}}});
     expect(typeof types).toBe('object');
-    expect(Object.keys(types).length).toEqual(6);
+    expect(Object.keys(types).length).toEqual(7);
     expect(typeof actions).toBe('object');
-    expect(Object.keys(actions).length).toEqual(6);
+    expect(Object.keys(actions).length).toEqual(9);
     expect(typeof reducers).toBe('function');
   });
 });
 
+describe('bulkActions', () => {
+  it('should only include declared bulk actions', () => {
+    const {types, actions} = createResource({name, url, actions: {deleteMany: {}}});
+    expect(types.DELETEMANY_USERS).toEqual('@@resource/USER/DELETE_MANY');
+    expect(Object.keys(actions)).toContain('deleteManyUsers');
+    expect(Object.keys(actions)).not.toContain('updateManyUsers');
+  });
+});
+
 describe('resourceOptions', () => {
   describe('`pick` option', () => {
     it('should properly pick action', () => {
@@ -36,7 +46,7 @@ describe('resourceOptions', () => {
       expect(typeof types).toBe('object');
       expect(Object.keys(types).length).toEqual(1);
       expect(typeof actions).toBe('object');
-      expect(Object.keys(actions).length).toEqual(1);
+      expect(Object.keys(actions).length).toEqual(2);
       expect(typeof reducers).toBe('function');
     });
   });
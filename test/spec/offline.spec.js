@@ -0,0 +1,224 @@
+import {applyMiddleware, combineReducers, createStore} from 'redux';
+import expect from 'expect';
+import nock from 'nock';
+import thunk from 'redux-thunk';
+
+import {createResource, replayOutbox} from '../../src';
+
+// Configuration
+const name = 'user';
+const host = 'http://localhost:3000';
+const url = `${host}/users/:id`;
+
+describe('replayOutbox', () => {
+  const createUserStore = (resource) => {
+    const dispatchedActions = [];
+    const logger = () => next => (action) => {
+      dispatchedActions.push(action);
+      return next(action);
+    };
+    const store = createStore(combineReducers({users: resource.rootReducer}), applyMiddleware(thunk, logger));
+    store.dispatch({type: resource.types.FETCH_USERS, status: 'resolved', body: [{id: 1, firstName: 'Olivier'}]});
+    store.dispatchedActions = dispatchedActions;
+    return store;
+  };
+  afterEach(() => {
+    nock.cleanAll();
+  });
+  it('should queue mutations failing to reach the network and replay them in order', () => {
+    const resource = createResource({name, url, offline: true});
+    const store = createUserStore(resource);
+    nock(host)
+      .patch('/users/1')
+      .replyWithError('something awful happened');
+    nock(host)
+      .post('/users')
+      .replyWithError('something awful happened');
+    return store.dispatch(resource.actions.updateUser({id: 1, firstName: 'Olivia'}))
+      .then((action) => {
+        expect(action.status).toEqual('queued');
+        return store.dispatch(resource.actions.createUser({firstName: 'Aurore'}));
+      })
+      .then(() => {
+        const state = store.getState().users;
+        expect(state.items).toMatchObject([{id: 1, firstName: 'Olivia'}, {firstName: 'Aurore'}]);
+        expect(state.isUpdating).toBe(false);
+        expect(state.isCreating).toBe(false);
+        expect(state.statusById[1].isQueued).toBe(true);
+        expect(state.outbox.length).toEqual(2);
+        expect(state.outbox[0]).toMatchObject({actionName: 'updateUser', context: {id: 1, firstName: 'Olivia'}});
+        expect(state.outbox[1]).toMatchObject({actionName: 'createUser', context: {firstName: 'Aurore'}});
+        expect(JSON.parse(JSON.stringify(state.outbox))).toEqual(state.outbox);
+        const requests = [];
+        nock(host)
+          .patch('/users/1', {id: 1, firstName: 'Olivia'})
+          .reply(200, () => requests.push('update') && {ok: true});
+        nock(host)
+          .post('/users', {firstName: 'Aurore'})
+          .reply(200, () => requests.push('create') && {id: 2, firstName: 'Aurore'});
+        return store.dispatch(replayOutbox(resource)).then((count) => {
+          expect(count).toEqual(2);
+          expect(requests).toEqual(['update', 'create']);
+        });
+      })
+      .then(() => {
+        const state = store.getState().users;
+        expect(state.items).toEqual([{id: 1, firstName: 'Olivia'}, {id: 2, firstName: 'Aurore'}]);
+        expect(state.outbox).toEqual([]);
+        expect(state.optimisticSnapshots).toEqual({});
+        expect(state.statusById[1].isQueued).toBe(false);
+      });
+  });
+  it('should keep optimistic ids unique across sessions', () => {
+    // Reload the library as a new session would
+    const loadLibrary = () => {
+      jest.resetModules();
+      return require('../../src'); // eslint-disable-line global-require
+    };
+    const resource = loadLibrary().createResource({name, url, offline: true});
+    const store = createUserStore(resource);
+    nock(host)
+      .post('/users')
+      .replyWithError('something awful happened');
+    return store.dispatch(resource.actions.createUser({firstName: 'Offline'}))
+      .then(() => new Promise(resolve => setTimeout(resolve, 5)))
+      .then(() => {
+        const payload = JSON.parse(JSON.stringify(resource.dehydrate(store.getState().users)));
+        const lib = loadLibrary();
+        const nextResource = lib.createResource({name, url, offline: true});
+        const nextStore = createStore(
+          combineReducers({users: nextResource.rootReducer}),
+          {users: nextResource.rehydrate(payload)},
+          applyMiddleware(thunk)
+        );
+        nock(host)
+          .post('/users', {firstName: 'Online'})
+          .reply(200, {id: 101, firstName: 'Online'});
+        return nextStore.dispatch(nextResource.actions.createUser({firstName: 'Online'}, {optimistic: true}))
+          .then((action) => {
+            expect(action.optimisticId).not.toBe(payload.state.outbox[0].optimisticId);
+            nock(host)
+              .post('/users', {firstName: 'Offline'})
+              .reply(200, {id: 102, firstName: 'Offline'});
+            return nextStore.dispatch(lib.replayOutbox(nextResource));
+          })
+          .then(() => {
+            expect(nextStore.getState().users.items).toEqual([
+              {id: 1, firstName: 'Olivier'},
+              {id: 102, firstName: 'Offline'},
+              {id: 101, firstName: 'Online'}
+            ]);
+          });
+      });
+  });
+  it('should report conflicting replays as rejected actions with the original context', () => {
+    const resource = createResource({name, url, offline: true});
+    const store = createUserStore(resource);
+    nock(host)
+      .delete('/users/1')
+      .replyWithError('something awful happened');
+    return store.dispatch(resource.actions.deleteUser({id: 1}))
+      .then(() => {
+        expect(store.getState().users.items).toEqual([]);
+        nock(host)
+          .delete('/users/1')
+          .reply(409, {message: 'Conflict'});
+        return store.dispatch(replayOutbox(resource));
+      })
+      .then(() => {
+        const state = store.getState().users;
+        const rejectedAction = store.dispatchedActions.find(action => action.status === 'rejected');
+        expect(rejectedAction).toMatchObject({type: resource.types.DELETE_USER, code: 409, context: {id: 1}});
+        expect(state.items).toEqual([{id: 1, firstName: 'Olivier'}]);
+        expect(state.deleteError).toMatchObject({code: 409, message: 'Conflict'});
+        expect(state.outbox).toEqual([]);
+      });
+  });
+  it('should keep the queued mutations while the network is still unreachable', () => {
+    const resource = createResource({name, url, offline: true});
+    const store = createUserStore(resource);
+    nock(host)
+      .patch('/users/1')
+      .times(2)
+      .replyWithError('something awful happened');
+    return store.dispatch(resource.actions.updateUser({id: 1, firstName: 'Olivia'}))
+      .then(() => expect(store.dispatch(replayOutbox(resource))).rejects.toBeDefined())
+      .then(() => {
+        const state = store.getState().users;
+        expect(state.items).toEqual([{id: 1, firstName: 'Olivia'}]);
+        expect(state.outbox.length).toEqual(1);
+        expect(store.dispatchedActions.filter(action => action.status === 'rejected')).toEqual([]);
+      });
+  });
+  it('should keep mutations queued at call time while the network is still unreachable', () => {
+    const resource = createResource({name, url});
+    const store = createUserStore(resource);
+    nock(host)
+      .patch('/users/1')
+      .times(2)
+      .replyWithError('something awful happened');
+    return store.dispatch(resource.actions.updateUser({id: 1, firstName: 'Olivia'}, {offline: true}))
+      .then((action) => {
+        expect(action.status).toEqual('queued');
+        return expect(store.dispatch(replayOutbox(resource))).rejects.toBeDefined();
+      })
+      .then(() => {
+        const state = store.getState().users;
+        expect(state.items).toEqual([{id: 1, firstName: 'Olivia'}]);
+        expect(state.outbox.length).toEqual(1);
+        expect(store.dispatchedActions.filter(action => action.status === 'rejected')).toEqual([]);
+      });
+  });
+  it('should not queue responses failing to decode', () => {
+    const resource = createResource({name, url, offline: true});
+    const store = createUserStore(resource);
+    nock(host)
+      .post('/users')
+      .reply(201, '{"id": 2,', {'Content-Type': 'application/json'});
+    return expect(store.dispatch(resource.actions.createUser({firstName: 'Aurore'}))).rejects.toBeDefined()
+      .then(() => {
+        const state = store.getState().users;
+        expect(state.items).toEqual([{id: 1, firstName: 'Olivier'}]);
+        expect(state.outbox).toBe(undefined);
+        expect(store.dispatchedActions.filter(action => action.status === 'rejected').length).toEqual(1);
+      });
+  });
+  it('should only queue timed out requests that can be safely sent again', () => {
+    const resource = createResource({name, url, offline: true, timeout: 10});
+    const store = createUserStore(resource);
+    nock(host)
+      .post('/users')
+      .delay(100)
+      .reply(201, {id: 2, firstName: 'Aurore'});
+    nock(host)
+      .delete('/users/1')
+      .delay(100)
+      .reply(204);
+    return expect(store.dispatch(resource.actions.createUser({firstName: 'Aurore'}))).rejects.toBeDefined()
+      .then(() => store.dispatch(resource.actions.deleteUser({id: 1})))
+      .then((action) => {
+        expect(action.status).toEqual('queued');
+        const state = store.getState().users;
+        expect(state.items).toEqual([]);
+        expect(state.outbox.length).toEqual(1);
+        expect(state.outbox[0]).toMatchObject({actionName: 'deleteUser', context: {id: 1}});
+      });
+  });
+  it('should not queue read requests nor HTTP errors', () => {
+    const resource = createResource({name, url, offline: true});
+    const store = createUserStore(resource);
+    nock(host)
+      .get('/users')
+      .replyWithError('something awful happened');
+    nock(host)
+      .patch('/users/1')
+      .reply(500, {});
+    return expect(store.dispatch(resource.actions.fetchUsers())).rejects.toBeDefined()
+      .then(() => expect(store.dispatch(resource.actions.updateUser({id: 1, firstName: 'Olivia'}))).rejects.toBeDefined())
+      .then(() => {
+        const state = store.getState().users;
+        expect(state.items).toEqual([{id: 1, firstName: 'Olivier'}]);
+        expect(state.outbox).toBe(undefined);
+      });
+  });
+});
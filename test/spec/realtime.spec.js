@@ -0,0 +1,109 @@
+import {EventEmitter} from 'events';
+import {applyMiddleware, combineReducers, createStore} from 'redux';
+import expect from 'expect';
+import thunk from 'redux-thunk';
+
+import {connectRealtime, createResource} from '../../src';
+
+// Configuration
+const name = 'user';
+const host = 'http://localhost:3000';
+const url = `${host}/users/:id`;
+
+// Minimal DOM-like event target, standing in for a WebSocket or an EventSource
+class FakeEventTarget {
+  constructor() {
+    this.listeners = {};
+  }
+  addEventListener(type, listener) {
+    this.listeners[type] = [...(this.listeners[type] || []), listener];
+  }
+  removeEventListener(type, listener) {
+    this.listeners[type] = (this.listeners[type] || []).filter(someListener => someListener !== listener);
+  }
+  dispatchEvent(type, data) {
+    (this.listeners[type] || []).forEach(listener => listener({type, data}));
+  }
+}
+
+describe('connectRealtime', () => {
+  const createUserStore = (resource) => {
+    const store = createStore(combineReducers({users: resource.rootReducer}), applyMiddleware(thunk));
+    store.dispatch({
+      type: resource.types.FETCH_USERS,
+      status: 'resolved',
+      body: [{id: 1, firstName: 'Olivier', role: 'admin'}]
+    });
+    return store;
+  };
+  it('should map WebSocket-like messages to resolved actions', () => {
+    const resource = createResource({name, url});
+    const store = createUserStore(resource);
+    const socket = new FakeEventTarget();
+    const disconnect = store.dispatch(connectRealtime(resource, socket));
+    socket.dispatchEvent('message', JSON.stringify({type: 'created', body: {id: 2, firstName: 'Aurore'}}));
+    socket.dispatchEvent('message', JSON.stringify({type: 'update', body: {id: 1, firstName: 'Olivia'}}));
+    socket.dispatchEvent('message', 'ping');
+    socket.dispatchEvent('message', JSON.stringify({type: 'unknown', body: {}}));
+    expect(store.getState().users.items).toEqual([{id: 1, firstName: 'Olivia', role: 'admin'}, {id: 2, firstName: 'Aurore'}]);
+    socket.dispatchEvent('message', JSON.stringify({type: 'replaced', body: {id: 1, firstName: 'Olivier'}}));
+    socket.dispatchEvent('message', JSON.stringify({type: 'deleted', body: {id: 2}}));
+    expect(store.getState().users.items).toEqual([{id: 1, firstName: 'Olivier'}]);
+    disconnect();
+    expect(socket.listeners.message).toEqual([]);
+  });
+  it('should merge created items already present', () => {
+    const resource = createResource({name, url});
+    const store = createUserStore(resource);
+    const socket = new FakeEventTarget();
+    store.dispatch(connectRealtime(resource, socket));
+    socket.dispatchEvent('message', JSON.stringify({type: 'created', body: {id: 1, firstName: 'Olivia'}}));
+    expect(store.getState().users.items).toEqual([{id: 1, firstName: 'Olivia', role: 'admin'}]);
+  });
+  it('should not duplicate optimistic items created before the response', () => {
+    const resource = createResource({name, url});
+    const store = createUserStore(resource);
+    const socket = new FakeEventTarget();
+    store.dispatch(connectRealtime(resource, socket));
+    const optimisticId = '@@optimistic/1';
+    store.dispatch({type: resource.types.CREATE_USER, status: 'pending', context: {firstName: 'Aurore'}, optimisticId});
+    socket.dispatchEvent('message', JSON.stringify({type: 'created', body: {id: 2, firstName: 'Aurore'}}));
+    store.dispatch({type: resource.types.CREATE_USER, status: 'resolved', body: {id: 2, firstName: 'Aurore'}, optimisticId});
+    expect(store.getState().users.items).toEqual([{id: 1, firstName: 'Olivier', role: 'admin'}, {id: 2, firstName: 'Aurore'}]);
+  });
+  it('should not duplicate bulk created items pushed before the response', () => {
+    const resource = createResource({name, url, actions: {createMany: {}}});
+    const store = createUserStore(resource);
+    const socket = new FakeEventTarget();
+    store.dispatch(connectRealtime(resource, socket));
+    socket.dispatchEvent('message', JSON.stringify({type: 'created', body: {id: 2, firstName: 'Aurore'}}));
+    const body = [{id: 2, firstName: 'Aurore'}, {id: 3, firstName: 'Jane'}];
+    store.dispatch({type: resource.types.CREATEMANY_USERS, status: 'resolved', context: [], body});
+    expect(store.getState().users.items).toEqual([{id: 1, firstName: 'Olivier', role: 'admin'}, ...body]);
+  });
+  it('should support named events of Node.js event emitters', () => {
+    const resource = createResource({name, url});
+    const store = createUserStore(resource);
+    const emitter = new EventEmitter();
+    const disconnect = store.dispatch(connectRealtime(resource, emitter, {events: ['created', 'deleted']}));
+    emitter.emit('created', {data: '{"id":2,"firstName":"Aurore"}'});
+    emitter.emit('deleted', {data: '1'});
+    expect(store.getState().users.items).toEqual([{id: 2, firstName: 'Aurore'}]);
+    disconnect();
+    expect(emitter.listenerCount('created')).toBe(0);
+  });
+  it('should support a custom `mapMessage` option', () => {
+    const resource = createResource({name, url});
+    const store = createUserStore(resource);
+    const emitter = new EventEmitter();
+    const mapMessage = message => (message.op === 'patch' ? {actionId: 'update', body: message.doc} : null);
+    store.dispatch(connectRealtime(resource, emitter, {mapMessage}));
+    emitter.emit('message', {op: 'patch', doc: {id: 1, role: 'guest'}});
+    emitter.emit('message', {op: 'noop'});
+    expect(store.getState().users.items).toEqual([{id: 1, firstName: 'Olivier', role: 'guest'}]);
+  });
+  it('should reject unsupported sources', () => {
+    const resource = createResource({name, url});
+    expect(() => connectRealtime(resource, {})(() => {})).toThrow(TypeError);
+  });
+});
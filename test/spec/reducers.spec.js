@@ -1,9 +1,9 @@
 import expect from 'expect';
 import {values} from 'lodash';
 
-import {defaultActions, initialState} from '../../src/defaults';
+import {defaultActions, defaultBulkActions, initialState} from '../../src/defaults';
 import {createTypes, getActionTypeKey} from '../../src/types';
-import {createRootReducer, createReducers} from '../../src/reducers';
+import {createRootReducer, createReducers, getItems, getListKey, getListItems} from '../../src/reducers';
 import {combineReducers} from '../../src/reducers/helpers';
 
 // Configuration
@@ -40,19 +40,19 @@ describe('defaultReducers', () => {
     const pendingAction = {type, status, context};
     const pendingState = reducers[actionId](undefined, pendingAction);
     expect(pendingState)
-      .toEqual({isCreating: true});
+      .toEqual({isCreating: true, createError: null});
 
     status = 'resolved';
     const body = {id: 1, firstName: 'Olivier'};
     const receivedAt = Date.now();
     const resolvedAction = {type, status, context, body, receivedAt};
     expect(reducers[actionId](pendingState, resolvedAction))
-      .toEqual({isCreating: false, items: [body]});
+      .toEqual({isCreating: false, createError: null, items: [body]});
 
     status = 'rejected';
     const rejectedAction = {type, status, context, err: {}, receivedAt};
     expect(reducers[actionId](pendingState, rejectedAction))
-      .toEqual({isCreating: false});
+      .toEqual({isCreating: false, createError: {code: null, body: null, message: undefined}});
   });
   it('should handle FETCH action', () => {
     const actionId = 'fetch';
@@ -62,17 +62,17 @@ describe('defaultReducers', () => {
     status = 'pending';
     const pendingState = reducers[actionId](undefined, {type, status});
     expect(pendingState)
-      .toEqual({isFetching: true, didInvalidate: false});
+      .toEqual({isFetching: true, didInvalidate: false, fetchError: null});
 
     status = 'resolved';
     const body = [{id: 1, firstName: 'Olivier'}];
     const receivedAt = Date.now();
     expect(reducers[actionId](pendingState, {type, status, body, receivedAt}))
-      .toEqual({isFetching: false, didInvalidate: false, items: body, lastUpdated: receivedAt});
+      .toEqual({isFetching: false, didInvalidate: false, fetchError: null, items: body, lastUpdated: receivedAt});
 
     status = 'rejected';
     expect(reducers[actionId](pendingState, {type, status, err: {}, receivedAt}))
-      .toEqual({didInvalidate: false, isFetching: false});
+      .toEqual({didInvalidate: false, isFetching: false, fetchError: {code: null, body: null, message: undefined}});
   });
   it('should handle GET action', () => {
     const actionId = 'get';
@@ -83,17 +83,34 @@ describe('defaultReducers', () => {
     status = 'pending';
     const pendingState = reducers[actionId](undefined, {type, status, context});
     expect(pendingState)
-      .toEqual({isFetchingItem: true, didInvalidateItem: false});
+      .toEqual({
+        isFetchingItem: true,
+        didInvalidateItem: false,
+        getError: null,
+        statusById: {1: {isFetching: true, getError: null}}
+      });
 
     status = 'resolved';
     const body = [{id: 1, firstName: 'Olivier'}];
     const receivedAt = Date.now();
     expect(reducers[actionId](pendingState, {type, status, context, body, receivedAt}))
-      .toEqual({isFetchingItem: false, didInvalidateItem: false, item: body, lastUpdatedItem: receivedAt});
+      .toEqual({
+        isFetchingItem: false,
+        didInvalidateItem: false,
+        getError: null,
+        item: body,
+        lastUpdatedItem: receivedAt,
+        statusById: {1: {isFetching: false, getError: null}}
+      });
 
     status = 'rejected';
     expect(reducers[actionId](pendingState, {type, status, context, err: {}, receivedAt}))
-      .toEqual({isFetchingItem: false, didInvalidateItem: false});
+      .toEqual({
+        isFetchingItem: false,
+        didInvalidateItem: false,
+        getError: {code: null, body: null, message: undefined},
+        statusById: {1: {isFetching: false, getError: {code: null, body: null, message: undefined}}}
+      });
   });
   it('should handle UPDATE action', () => {
     const actionId = 'update';
@@ -106,7 +123,12 @@ describe('defaultReducers', () => {
     status = 'pending';
     const pendingState = reducers[actionId](customInitialState, {type, status, context});
     expect(pendingState)
-      .toEqual({...customInitialState, isUpdating: true});
+      .toEqual({
+        ...customInitialState,
+        isUpdating: true,
+        updateError: null,
+        statusById: {1: {isUpdating: true, updateError: null}}
+      });
 
     status = 'resolved';
     const body = {ok: true};
@@ -114,11 +136,60 @@ describe('defaultReducers', () => {
     const expectedItems = [{id: 1, firstName: 'Olivia', lastName: 'Louvignes'}];
     const expectedItem = expectedItems[0];
     expect(reducers[actionId](pendingState, {type, status, context, body, receivedAt}))
-      .toEqual({isUpdating: false, items: expectedItems, item: expectedItem});
+      .toEqual({
+        isUpdating: false,
+        updateError: null,
+        items: expectedItems,
+        item: expectedItem,
+        statusById: {1: {isUpdating: false, updateError: null}}
+      });
 
     status = 'rejected';
     expect(reducers[actionId](pendingState, {type, status, context, err: {}, receivedAt}))
-      .toEqual({...customInitialState, isUpdating: false});
+      .toEqual({
+        ...customInitialState,
+        isUpdating: false,
+        updateError: {code: null, body: null, message: undefined},
+        statusById: {1: {isUpdating: false, updateError: {code: null, body: null, message: undefined}}}
+      });
+  });
+  it('should handle REPLACE action', () => {
+    const actionId = 'replace';
+    const type = types[getActionTypeKey(actionId, {resourceName})];
+    expect(type).toEqual('@@resource/USER/REPLACE');
+    const initialItems = [{id: 1, firstName: 'Olivier', lastName: 'Louvignes'}];
+    const customInitialState = {items: initialItems, item: initialItems[0]};
+    const context = {id: 1, firstName: 'Olivia'};
+    let status;
+
+    status = 'pending';
+    const pendingState = reducers[actionId](customInitialState, {type, status, context});
+    expect(pendingState)
+      .toEqual({
+        ...customInitialState,
+        isReplacing: true,
+        replaceError: null,
+        statusById: {1: {isReplacing: true, replaceError: null}}
+      });
+
+    status = 'resolved';
+    const body = {id: 1, firstName: 'Olivia', updatedAt: 1};
+    const receivedAt = Date.now();
+    expect(reducers[actionId](pendingState, {type, status, context, body, receivedAt}))
+      .toEqual({
+        isReplacing: false,
+        replaceError: null,
+        items: [context],
+        item: context,
+        statusById: {1: {isReplacing: false, replaceError: null}}
+      });
+    const options = {assignResponse: true};
+    expect(reducers[actionId](pendingState, {type, status, context, options, body, receivedAt}).items)
+      .toEqual([body]);
+
+    status = 'rejected';
+    expect(reducers[actionId](pendingState, {type, status, context, code: 409, body: null, receivedAt}))
+      .toMatchObject({...customInitialState, isReplacing: false, replaceError: {code: 409, body: null, message: 'HttpError'}});
   });
   it('should handle DELETE action', () => {
     const actionId = 'delete';
@@ -131,18 +202,336 @@ describe('defaultReducers', () => {
     status = 'pending';
     const pendingState = reducers[actionId](customInitialState, {type, status, context});
     expect(pendingState)
-      .toEqual({...customInitialState, isDeleting: true});
+      .toEqual({
+        ...customInitialState,
+        isDeleting: true,
+        deleteError: null,
+        statusById: {1: {isDeleting: true, deleteError: null}}
+      });
 
     status = 'resolved';
     const body = {ok: true};
     const receivedAt = Date.now();
     const expectedItems = [];
     expect(reducers[actionId](pendingState, {type, status, context, body, receivedAt}))
-      .toEqual({isDeleting: false, items: expectedItems});
+      .toEqual({isDeleting: false, deleteError: null, items: expectedItems, statusById: {}});
 
     status = 'rejected';
     expect(reducers[actionId](pendingState, {type, status, context, err: {}, receivedAt}))
-      .toEqual({...customInitialState, isDeleting: false});
+      .toEqual({
+        ...customInitialState,
+        isDeleting: false,
+        deleteError: {code: null, body: null, message: undefined},
+        statusById: {1: {isDeleting: false, deleteError: {code: null, body: null, message: undefined}}}
+      });
+  });
+});
+
+describe('paginatedActions', () => {
+  const types = createTypes(defaultActions, {resourceName});
+  const reducers = createReducers(defaultActions, {resourceName});
+  const type = types[getActionTypeKey('fetch', {resourceName, isArray: true})];
+  const receivedAt = Date.now();
+  const firstPage = [{id: 1, firstName: 'Olivier'}];
+  const secondPage = [{id: 2, firstName: 'Aurore'}];
+  it('should store pagination metadata', () => {
+    const pagination = {page: 1, totalCount: 2, hasMore: true, links: {next: '/users?page=2'}, merge: 'replace'};
+    expect(reducers.fetch(initialState, {type, status: 'resolved', body: firstPage, pagination, receivedAt}))
+      .toEqual({
+        ...initialState,
+        items: firstPage,
+        lastUpdated: receivedAt,
+        didInvalidate: false,
+        page: 1,
+        totalCount: 2,
+        hasMore: true,
+        pageLinks: {next: '/users?page=2'}
+      });
+  });
+  it('should append or prepend pages', () => {
+    const appendPagination = {page: 2, totalCount: 2, hasMore: false, merge: 'append'};
+    const appendedState = reducers.fetch({...initialState, items: firstPage}, {
+      type,
+      status: 'resolved',
+      body: secondPage,
+      pagination: appendPagination,
+      receivedAt
+    });
+    expect(appendedState.items).toEqual([...firstPage, ...secondPage]);
+    const prependPagination = {page: 1, totalCount: 2, hasMore: true, merge: 'prepend'};
+    const prependedState = reducers.fetch({...initialState, items: secondPage}, {
+      type,
+      status: 'resolved',
+      body: firstPage,
+      pagination: prependPagination,
+      receivedAt
+    });
+    expect(prependedState.items).toEqual([...firstPage, ...secondPage]);
+  });
+});
+
+describe('queryKeyedLists', () => {
+  const types = createTypes(defaultActions, {resourceName});
+  const reducers = createReducers(defaultActions, {resourceName});
+  const type = types[getActionTypeKey('fetch', {resourceName, isArray: true})];
+  const adminsKey = getListKey({query: {role: 'admin'}});
+  const guestsKey = getListKey({query: {role: 'guest'}});
+  const admins = [{id: 1, firstName: 'Olivier', role: 'admin'}];
+  const guests = [{id: 2, firstName: 'Jane', role: 'guest'}];
+  it('should build canonical list keys', () => {
+    expect(getListKey({query: {b: 2, a: 1}})).toEqual(getListKey({params: {}, query: {a: 1, b: 2}}));
+    expect(adminsKey).not.toBe(guestsKey);
+  });
+  it('should handle keyed FETCH actions', () => {
+    const receivedAt = Date.now();
+    const pendingState = reducers.fetch(initialState, {type, status: 'pending', listKey: adminsKey});
+    expect(pendingState.isFetching).toBe(false);
+    expect(pendingState.lists[adminsKey]).toEqual({isFetching: true, didInvalidate: false, error: null});
+    const adminsState = reducers.fetch(pendingState, {type, status: 'resolved', listKey: adminsKey, body: admins, receivedAt});
+    const guestsState = reducers.fetch(adminsState, {type, status: 'resolved', listKey: guestsKey, body: guests, receivedAt});
+    expect(guestsState.items).toEqual([]);
+    expect(guestsState.lists[adminsKey]).toEqual({
+      isFetching: false,
+      didInvalidate: false,
+      error: null,
+      lastUpdated: receivedAt,
+      items: admins
+    });
+    expect(getListItems(guestsState, guestsKey)).toEqual(guests);
+  });
+  it('should handle keyed FETCH actions with a normalized state', () => {
+    const normalizedState = {...initialState, byId: {}, allIds: []};
+    const nextState = reducers.fetch(normalizedState, {
+      type,
+      status: 'resolved',
+      listKey: adminsKey,
+      body: admins,
+      receivedAt: Date.now()
+    });
+    expect(nextState.byId).toEqual({1: admins[0]});
+    expect(nextState.allIds).toEqual([]);
+    expect(nextState.lists[adminsKey].ids).toEqual([1]);
+    expect(getListItems(nextState, adminsKey)).toEqual(admins);
+  });
+  it('should keep the entities of keyed lists when fetching a normalized state', () => {
+    const normalizedState = {...initialState, byId: {}, allIds: []};
+    const adminsState = reducers.fetch(normalizedState, {
+      type, status: 'resolved', listKey: adminsKey, body: admins, receivedAt: Date.now()
+    });
+    const pendingState = reducers.fetch(adminsState, {type, status: 'pending', listKey: guestsKey});
+    expect(getListItems(pendingState, guestsKey)).toEqual([]);
+    const nextState = reducers.fetch(pendingState, {type, status: 'resolved', body: guests, receivedAt: Date.now()});
+    expect(nextState.allIds).toEqual([2]);
+    expect(getItems(nextState)).toEqual(guests);
+    expect(getListItems(nextState, adminsKey)).toEqual(admins);
+  });
+  it('should propagate UPDATE and DELETE actions to every list', () => {
+    const customInitialState = {...initialState, lists: {[adminsKey]: {items: admins}, [guestsKey]: {items: guests}}};
+    const updateType = types[getActionTypeKey('update', {resourceName})];
+    const updatedState = reducers.update(customInitialState, {
+      type: updateType,
+      status: 'resolved',
+      context: {id: 1, firstName: 'Olivia'}
+    });
+    expect(getListItems(updatedState, adminsKey)).toEqual([{...admins[0], firstName: 'Olivia'}]);
+    const deleteType = types[getActionTypeKey('delete', {resourceName})];
+    const deletedState = reducers.delete(updatedState, {type: deleteType, status: 'resolved', context: {id: 2}});
+    expect(getListItems(deletedState, guestsKey)).toEqual([]);
+  });
+  it('should invalidate every list', () => {
+    const customInitialState = {...initialState, lists: {[adminsKey]: {items: admins, didInvalidate: false}}};
+    const nextState = reducers.fetch(customInitialState, {type, status: 'invalidated'});
+    expect(nextState.lists[adminsKey].didInvalidate).toBe(true);
+  });
+});
+
+describe('emptyResponses', () => {
+  const types = createTypes(defaultActions, {resourceName});
+  const reducers = createReducers(defaultActions, {resourceName});
+  const receivedAt = Date.now();
+  it('should handle resolved actions without any body', () => {
+    const customInitialState = {...initialState, items: [{id: 1, firstName: 'Olivier'}]};
+    const createType = types[getActionTypeKey('create', {resourceName})];
+    expect(reducers.create(customInitialState, {
+      type: createType,
+      status: 'resolved',
+      context: {},
+      body: null,
+      receivedAt
+    }).items)
+      .toEqual(customInitialState.items);
+    const fetchType = types[getActionTypeKey('fetch', {resourceName, isArray: true})];
+    expect(reducers.fetch(customInitialState, {type: fetchType, status: 'resolved', body: null, receivedAt}).items)
+      .toEqual([]);
+    const deleteType = types[getActionTypeKey('delete', {resourceName})];
+    expect(reducers.delete(customInitialState, {
+      type: deleteType,
+      status: 'resolved',
+      context: {id: 1},
+      body: null,
+      receivedAt
+    }).items)
+      .toEqual([]);
+  });
+});
+
+describe('bulkReducers', () => {
+  const bulkActions = {...defaultActions, ...defaultBulkActions};
+  const types = createTypes(bulkActions, {resourceName});
+  const rootReducer = createRootReducer(bulkActions, {resourceName});
+  const getType = actionId => types[getActionTypeKey(actionId, {resourceName, isArray: true})];
+  const items = [{id: 1, firstName: 'Olivier'}, {id: 2, firstName: 'Aurore'}, {id: 3, firstName: 'Jane'}];
+  const receivedAt = Date.now();
+  it('should handle CREATE_MANY action', () => {
+    const type = getType('createMany');
+    const context = [{firstName: 'John'}, {firstName: 'Paul'}];
+    const pendingState = rootReducer({...initialState, items}, {type, status: 'pending', context});
+    expect(pendingState.isCreatingMany).toBe(true);
+    const body = [{id: 4, firstName: 'John'}, {id: 5, firstName: 'Paul'}];
+    const resolvedState = rootReducer(pendingState, {type, status: 'resolved', context, body, receivedAt});
+    expect(resolvedState.isCreatingMany).toBe(false);
+    expect(resolvedState.items).toEqual([...items, ...body]);
+  });
+  it('should handle UPDATE_MANY action', () => {
+    const type = getType('updateMany');
+    const listKey = getListKey({query: {role: 'admin'}});
+    const state = {...initialState, items, item: items[0], lists: {[listKey]: {items: [items[0]]}}};
+    const context = [{id: 1, archived: true}, {id: 3, archived: true}];
+    const resolvedState = rootReducer(state, {type, status: 'resolved', context, body: null, receivedAt});
+    expect(resolvedState.isUpdatingMany).toBe(false);
+    expect(resolvedState.items).toEqual([{...items[0], archived: true}, items[1], {...items[2], archived: true}]);
+    expect(resolvedState.item).toEqual({...items[0], archived: true});
+    expect(resolvedState.lists[listKey].items).toEqual([{...items[0], archived: true}]);
+  });
+  it('should handle DELETE_MANY action', () => {
+    const type = getType('deleteMany');
+    const normalizedReducer = createRootReducer(bulkActions, {resourceName, normalize: true});
+    const fetchedState = normalizedReducer(undefined, {type: getType('fetch'), status: 'resolved', body: items, receivedAt});
+    const resolvedState = normalizedReducer(fetchedState, {
+      type,
+      status: 'resolved',
+      context: [1, {id: 3}],
+      body: null,
+      receivedAt
+    });
+    expect(resolvedState.isDeletingMany).toBe(false);
+    expect(getItems(resolvedState)).toEqual([items[1]]);
+    const rejectedState = rootReducer({...initialState, items}, {
+      type,
+      status: 'rejected',
+      context: [1],
+      code: 500,
+      body: null
+    });
+    expect(rejectedState.items).toEqual(items);
+    expect(rejectedState.deleteManyError).toEqual({code: 500, body: null, message: 'HttpError'});
+  });
+});
+
+describe('invalidatedActions', () => {
+  const types = createTypes(defaultActions, {resourceName});
+  const reducers = createReducers(defaultActions, {resourceName});
+  it('should handle an invalidated FETCH action', () => {
+    const type = types[getActionTypeKey('fetch', {resourceName, isArray: true})];
+    const customInitialState = {...initialState, didInvalidate: false};
+    expect(reducers.fetch(customInitialState, {type, status: 'invalidated'}))
+      .toEqual({...initialState, didInvalidate: true});
+  });
+  it('should handle an invalidated GET action', () => {
+    const type = types[getActionTypeKey('get', {resourceName})];
+    const customInitialState = {...initialState, didInvalidateItem: false};
+    expect(reducers.get(customInitialState, {type, status: 'invalidated', context: {id: 1}}))
+      .toEqual({...initialState, didInvalidateItem: true});
+  });
+});
+
+describe('rejectedActions', () => {
+  const types = createTypes(defaultActions, {resourceName});
+  const reducers = createReducers(defaultActions, {resourceName});
+  const receivedAt = Date.now();
+  it('should store error details of HTTP failures', () => {
+    const type = types[getActionTypeKey('get', {resourceName})];
+    const body = {message: 'User not found'};
+    const rejectedState = reducers.get(initialState, {type, status: 'rejected', context: {id: 1}, code: 404, body, receivedAt});
+    expect(rejectedState.getError).toEqual({code: 404, body, message: 'User not found'});
+    const pendingState = reducers.get(rejectedState, {type, status: 'pending', context: {id: 1}});
+    expect(pendingState.getError).toBe(null);
+  });
+  it('should store error details of regular errors', () => {
+    const type = types[getActionTypeKey('fetch', {resourceName, isArray: true})];
+    const err = new Error('Failed to fetch');
+    const rejectedState = reducers.fetch(initialState, {type, status: 'rejected', err, receivedAt});
+    expect(rejectedState.fetchError).toEqual({code: null, body: null, message: 'Failed to fetch'});
+    const listKey = getListKey({query: {role: 'admin'}});
+    const rejectedListState = reducers.fetch(initialState, {type, status: 'rejected', listKey, err, receivedAt});
+    expect(rejectedListState.fetchError).toBe(null);
+    expect(rejectedListState.lists[listKey].error).toEqual({code: null, body: null, message: 'Failed to fetch'});
+  });
+});
+
+describe('itemStatus', () => {
+  const types = createTypes(defaultActions, {resourceName});
+  const rootReducer = createRootReducer(defaultActions, {resourceName});
+  const receivedAt = Date.now();
+  it('should track concurrent requests per item', () => {
+    const updateType = types[getActionTypeKey('update', {resourceName})];
+    const deleteType = types[getActionTypeKey('delete', {resourceName})];
+    const customInitialState = {...initialState, items: [{id: 1, firstName: 'Olivier'}, {id: 2, firstName: 'Aurore'}]};
+    const firstPendingState = rootReducer(customInitialState, {
+      type: updateType,
+      status: 'pending',
+      context: {id: 1, firstName: 'Olivia'}
+    });
+    const secondPendingState = rootReducer(firstPendingState, {
+      type: updateType,
+      status: 'pending',
+      context: {id: 2, firstName: 'Jane'}
+    });
+    expect(secondPendingState.statusById).toEqual({
+      1: {isUpdating: true, updateError: null},
+      2: {isUpdating: true, updateError: null}
+    });
+    const rejectedState = rootReducer(secondPendingState, {
+      type: updateType,
+      status: 'rejected',
+      context: {id: 2},
+      code: 500,
+      receivedAt
+    });
+    expect(rejectedState.statusById).toEqual({
+      1: {isUpdating: true, updateError: null},
+      2: {isUpdating: false, updateError: {code: 500, body: null, message: 'HttpError'}}
+    });
+    const deletePendingState = rootReducer(rejectedState, {type: deleteType, status: 'pending', context: {id: 2}});
+    expect(deletePendingState.statusById[2]).toMatchObject({isUpdating: false, isDeleting: true});
+    const deletedState = rootReducer(deletePendingState, {type: deleteType, status: 'resolved', context: {id: 2}, receivedAt});
+    expect(deletedState.statusById).toEqual({1: {isUpdating: true, updateError: null}});
+  });
+  it('should not track array actions', () => {
+    const type = types[getActionTypeKey('fetch', {resourceName, isArray: true})];
+    expect(rootReducer(initialState, {type, status: 'pending', context: {id: 1}}).statusById).toBe(undefined);
+  });
+});
+
+describe('cancelledActions', () => {
+  const types = createTypes(defaultActions, {resourceName});
+  const reducers = createReducers(defaultActions, {resourceName});
+  it('should handle a cancelled FETCH action', () => {
+    const actionId = 'fetch';
+    const type = types[getActionTypeKey(actionId, {resourceName, isArray: true})];
+    const pendingState = reducers[actionId](initialState, {type, status: 'pending'});
+    expect(reducers[actionId](pendingState, {type, status: 'cancelled', receivedAt: Date.now()}))
+      .toEqual({...initialState, isFetching: false, didInvalidate: false});
+  });
+  it('should rollback a cancelled optimistic UPDATE action', () => {
+    const actionId = 'update';
+    const type = types[getActionTypeKey(actionId, {resourceName})];
+    const customInitialState = {...initialState, items: [{id: 1, firstName: 'Olivier'}]};
+    const context = {id: 1, firstName: 'Olivia'};
+    const optimisticId = '@@optimistic/1';
+    const pendingState = reducers[actionId](customInitialState, {type, status: 'pending', context, optimisticId});
+    expect(reducers[actionId](pendingState, {type, status: 'cancelled', context, optimisticId, receivedAt: Date.now()}))
+      .toEqual({...customInitialState, optimisticSnapshots: {}, statusById: {1: {isUpdating: false, updateError: null}}});
   });
 });
 
@@ -160,19 +549,19 @@ describe('customReducers', () => {
     const pendingAction = {type, status, context};
     const pendingState = reducers[actionId](undefined, pendingAction);
     expect(pendingState)
-      .toEqual({isRunning: true});
+      .toEqual({isRunning: true, runError: null});
 
     status = 'resolved';
     const body = {ok: 1};
     const receivedAt = Date.now();
     const resolvedAction = {type, status, context, body, receivedAt};
     expect(reducers[actionId](pendingState, resolvedAction))
-      .toEqual({isRunning: false});
+      .toEqual({isRunning: false, runError: null});
 
     status = 'rejected';
     const rejectedAction = {type, status, context, err: {}, receivedAt};
     expect(reducers[actionId](pendingState, rejectedAction))
-      .toEqual({isRunning: false});
+      .toEqual({isRunning: false, runError: {code: null, body: null, message: undefined}});
   });
   it('should handle FETCH action', () => {
     const actionId = 'merge';
@@ -182,17 +571,17 @@ describe('customReducers', () => {
     status = 'pending';
     const pendingState = reducers[actionId](undefined, {type, status});
     expect(pendingState)
-      .toEqual({isMerging: true});
+      .toEqual({isMerging: true, mergeError: null});
 
     status = 'resolved';
     const body = [{id: 1, firstName: 'Olivier'}];
     const receivedAt = Date.now();
     expect(reducers[actionId](pendingState, {type, status, body, receivedAt}))
-      .toEqual({isMerging: false});
+      .toEqual({isMerging: false, mergeError: null});
 
     status = 'rejected';
     expect(reducers[actionId](pendingState, {type, status, err: {}, receivedAt}))
-      .toEqual({isMerging: false});
+      .toEqual({isMerging: false, mergeError: {code: null, body: null, message: undefined}});
   });
 });
 
@@ -214,18 +603,38 @@ describe('reducerOptions', () => {
       status = 'pending';
       const pendingState = reducers[actionId](customInitialState, {type, status, context});
       expect(pendingState)
-        .toEqual({...customInitialState, isFetchingItem: true, didInvalidateItem: false});
+        .toEqual({
+          ...customInitialState,
+          isFetchingItem: true,
+          didInvalidateItem: false,
+          getError: null,
+          statusById: {1: {isFetching: true, getError: null}}
+        });
 
       status = 'resolved';
       const body = {id: 1, firstName: 'Olivia', lastName: 'Louvignes'};
       const receivedAt = Date.now();
       const expectedItems = [body];
       expect(reducers[actionId](pendingState, {type, status, context, options, body, receivedAt}))
-        .toEqual({isFetchingItem: false, didInvalidateItem: false, items: expectedItems, item: body, lastUpdatedItem: receivedAt});
+        .toEqual({
+          isFetchingItem: false,
+          didInvalidateItem: false,
+          getError: null,
+          items: expectedItems,
+          item: body,
+          lastUpdatedItem: receivedAt,
+          statusById: {1: {isFetching: false, getError: null}}
+        });
 
       status = 'rejected';
       expect(reducers[actionId](pendingState, {type, status, context, options, err: {}, receivedAt}))
-        .toEqual({...customInitialState, didInvalidateItem: false, isFetchingItem: false});
+        .toEqual({
+          ...customInitialState,
+          didInvalidateItem: false,
+          isFetchingItem: false,
+          getError: {code: null, body: null, message: undefined},
+          statusById: {1: {isFetching: false, getError: {code: null, body: null, message: undefined}}}
+        });
     });
     it('should handle UPDATE action', () => {
       const actionId = 'update';
@@ -242,19 +651,265 @@ describe('reducerOptions', () => {
       status = 'pending';
       const pendingState = reducers[actionId](customInitialState, {type, status, context, options});
       expect(pendingState)
-        .toEqual({...customInitialState, isUpdating: true});
+        .toEqual({...customInitialState, isUpdating: true, statusById: {1: {isUpdating: true, updateError: null}}});
 
       status = 'resolved';
       const body = {id: 1, firstName: 'Olivia2'};
       const receivedAt = Date.now();
       const expectedItems = [{id: 1, firstName: 'Olivia2', lastName: 'Louvignes'}];
       expect(reducers[actionId](pendingState, {type, status, context, options, body, receivedAt}))
-        .toEqual({...customInitialState, isUpdating: false, items: expectedItems});
+        .toEqual({
+          ...customInitialState,
+          isUpdating: false,
+          items: expectedItems,
+          statusById: {1: {isUpdating: false, updateError: null}}
+        });
 
       status = 'rejected';
       expect(reducers[actionId](pendingState, {type, status, context, options, err: {}, receivedAt}))
-        .toEqual({...customInitialState, isUpdating: false});
+        .toEqual({
+          ...customInitialState,
+          isUpdating: false,
+          updateError: {code: null, body: null, message: undefined},
+          statusById: {1: {isUpdating: false, updateError: {code: null, body: null, message: undefined}}}
+        });
+    });
+  });
+  describe('`mergeInto` option', () => {
+    const customActions = {promote: {method: 'POST', url: '/users/:id/promote', mergeInto: 'items'}};
+    const customTypes = createTypes(customActions, {resourceName});
+    const type = customTypes[getActionTypeKey('promote', {resourceName})];
+    const initialItems = [{id: 1, firstName: 'Olivier', role: 'guest'}];
+    const receivedAt = Date.now();
+    it('should merge the response into `items`', () => {
+      const reducers = createReducers(customActions, {resourceName});
+      const customInitialState = {...initialState, items: initialItems};
+      const context = {id: 1};
+      const body = {id: 1, role: 'admin'};
+      expect(reducers.promote(customInitialState, {type, status: 'resolved', context, body, receivedAt}))
+        .toEqual({
+          ...customInitialState,
+          isPromoting: false,
+          items: [{id: 1, firstName: 'Olivier', role: 'admin'}],
+          statusById: {1: {isPromoting: false}}
+        });
+      const newBody = [{id: 2, firstName: 'Aurore', role: 'admin'}];
+      expect(reducers.promote(customInitialState, {type, status: 'resolved', context, body: newBody, receivedAt}).items)
+        .toEqual([...initialItems, ...newBody]);
+    });
+    it('should merge the response into `item`', () => {
+      const reducers = createReducers({promote: {...customActions.promote, mergeInto: ['items', 'item']}}, {resourceName});
+      const customInitialState = {...initialState, items: initialItems, item: initialItems[0]};
+      const body = {id: 1, role: 'admin'};
+      const nextState = reducers.promote(customInitialState, {type, status: 'resolved', context: {id: 1}, body, receivedAt});
+      expect(nextState.item).toEqual({id: 1, firstName: 'Olivier', role: 'admin'});
+      expect(nextState.items).toEqual([nextState.item]);
+    });
+  });
+  describe('`reduce` option', () => {
+    const receivedAt = Date.now();
+    it('should replace the default reducer', () => {
+      const reduce = (state, action) => (action.status === 'resolved' ? {...state, count: action.body.length} : state);
+      const reducers = createReducers({...defaultActions, fetch: {...defaultActions.fetch, reduce}}, {resourceName});
+      const type = types[getActionTypeKey('fetch', {resourceName, isArray: true})];
+      expect(reducers.fetch(initialState, {type, status: 'resolved', body: [{id: 1}], receivedAt}))
+        .toEqual({...initialState, count: 1});
+    });
+    it('should wrap the default reducer', () => {
+      const reduce = (state, action, defaultReducer) => {
+        const nextState = defaultReducer(state, action);
+        return action.status === 'resolved' ? {...nextState, lastUpdatedBy: action.context.updatedBy} : nextState;
+      };
+      const rootReducer = createRootReducer({...defaultActions, update: {...defaultActions.update, reduce}}, {resourceName});
+      const type = types[getActionTypeKey('update', {resourceName})];
+      const customInitialState = {...initialState, items: [{id: 1, firstName: 'Olivier'}]};
+      const context = {id: 1, firstName: 'Olivia', updatedBy: 'admin'};
+      const nextState = rootReducer(customInitialState, {type, status: 'resolved', context, body: {}, receivedAt});
+      expect(nextState.items).toEqual([{id: 1, firstName: 'Olivia', updatedBy: 'admin'}]);
+      expect(nextState.lastUpdatedBy).toEqual('admin');
+    });
+  });
+});
+
+describe('optimisticReducers', () => {
+  const types = createTypes(defaultActions, {resourceName});
+  const reducers = createReducers(defaultActions, {resourceName});
+  const optimisticId = '@@optimistic/1';
+  const receivedAt = Date.now();
+  it('should handle CREATE action', () => {
+    const actionId = 'create';
+    const type = types[getActionTypeKey(actionId, {resourceName})];
+    const context = {firstName: 'Olivier'};
+    const customInitialState = {...initialState, items: [{id: 1, firstName: 'Aurore'}]};
+
+    const pendingState = reducers[actionId](customInitialState, {type, status: 'pending', context, optimisticId});
+    expect(pendingState.items).toEqual([{id: 1, firstName: 'Aurore'}, {id: optimisticId, firstName: 'Olivier'}]);
+
+    const body = {id: 2, firstName: 'Olivier'};
+    const resolvedState = reducers[actionId](pendingState, {type, status: 'resolved', context, body, receivedAt, optimisticId});
+    expect(resolvedState.items).toEqual([{id: 1, firstName: 'Aurore'}, body]);
+    expect(resolvedState.optimisticSnapshots).toEqual({});
+
+    const rejectedState = reducers[actionId](pendingState, {
+      type,
+      status: 'rejected',
+      context,
+      err: {},
+      receivedAt,
+      optimisticId
+    });
+    expect(rejectedState).toEqual({
+      ...customInitialState,
+      createError: {code: null, body: null, message: undefined},
+      optimisticSnapshots: {}
+    });
+  });
+  it('should handle UPDATE action', () => {
+    const actionId = 'update';
+    const type = types[getActionTypeKey(actionId, {resourceName})];
+    const initialItems = [{id: 1, firstName: 'Olivier', lastName: 'Louvignes'}];
+    const customInitialState = {...initialState, items: initialItems, item: initialItems[0]};
+    const context = {id: 1, firstName: 'Olivia'};
+    const expectedItem = {id: 1, firstName: 'Olivia', lastName: 'Louvignes'};
+
+    const pendingState = reducers[actionId](customInitialState, {type, status: 'pending', context, optimisticId});
+    expect(pendingState.items).toEqual([expectedItem]);
+    expect(pendingState.item).toEqual(expectedItem);
+
+    const options = {assignResponse: true};
+    const body = {id: 1, firstName: 'Olivia', lastName: 'Doe'};
+    const resolvedState = reducers[actionId](pendingState, {
+      type,
+      status: 'resolved',
+      context,
+      options,
+      body,
+      receivedAt,
+      optimisticId
+    });
+    expect(resolvedState.items).toEqual([body]);
+    expect(resolvedState.item).toEqual(body);
+    expect(resolvedState.optimisticSnapshots).toEqual({});
+
+    const rejectedState = reducers[actionId](pendingState, {
+      type,
+      status: 'rejected',
+      context,
+      err: {},
+      receivedAt,
+      optimisticId
+    });
+    expect(rejectedState).toEqual({
+      ...customInitialState,
+      updateError: {code: null, body: null, message: undefined},
+      optimisticSnapshots: {},
+      statusById: {1: {isUpdating: false, updateError: {code: null, body: null, message: undefined}}}
+    });
+  });
+  it('should handle REPLACE action', () => {
+    const actionId = 'replace';
+    const type = types[getActionTypeKey(actionId, {resourceName})];
+    const initialItems = [{id: 1, firstName: 'Olivier', lastName: 'Louvignes'}];
+    const customInitialState = {...initialState, items: initialItems, item: initialItems[0]};
+    const context = {id: 1, firstName: 'Olivia'};
+
+    const pendingState = reducers[actionId](customInitialState, {type, status: 'pending', context, optimisticId});
+    expect(pendingState.items).toEqual([context]);
+    expect(pendingState.item).toEqual(context);
+
+    const rejectedState = reducers[actionId](pendingState, {
+      type,
+      status: 'rejected',
+      context,
+      err: {},
+      receivedAt,
+      optimisticId
     });
+    expect(rejectedState.items).toEqual(initialItems);
+    expect(rejectedState.item).toEqual(initialItems[0]);
+    expect(rejectedState.optimisticSnapshots).toEqual({});
+  });
+  it('should handle DELETE action', () => {
+    const actionId = 'delete';
+    const type = types[getActionTypeKey(actionId, {resourceName})];
+    const initialItems = [{id: 1, firstName: 'Olivier'}, {id: 2, firstName: 'Aurore'}];
+    const customInitialState = {...initialState, items: initialItems};
+    const context = {id: 1};
+
+    const pendingState = reducers[actionId](customInitialState, {type, status: 'pending', context, optimisticId});
+    expect(pendingState.items).toEqual([initialItems[1]]);
+
+    const resolvedState = reducers[actionId](pendingState, {
+      type,
+      status: 'resolved',
+      context,
+      body: {},
+      receivedAt,
+      optimisticId
+    });
+    expect(resolvedState.items).toEqual([initialItems[1]]);
+    expect(resolvedState.optimisticSnapshots).toEqual({});
+
+    const rejectedState = reducers[actionId](pendingState, {
+      type,
+      status: 'rejected',
+      context,
+      err: {},
+      receivedAt,
+      optimisticId
+    });
+    expect(rejectedState).toEqual({
+      ...customInitialState,
+      deleteError: {code: null, body: null, message: undefined},
+      optimisticSnapshots: {},
+      statusById: {1: {isDeleting: false, deleteError: {code: null, body: null, message: undefined}}}
+    });
+  });
+  it('should handle normalized state', () => {
+    const rootReducer = createRootReducer(defaultActions, {resourceName, normalize: true});
+    const type = types[getActionTypeKey('create', {resourceName})];
+    const context = {firstName: 'Olivier'};
+    const pendingState = rootReducer(undefined, {type, status: 'pending', context, optimisticId});
+    expect(pendingState.allIds).toEqual([optimisticId]);
+    const body = {id: 2, firstName: 'Olivier'};
+    const resolvedState = rootReducer(pendingState, {type, status: 'resolved', context, body, receivedAt, optimisticId});
+    expect(resolvedState.byId).toEqual({2: body});
+    expect(resolvedState.allIds).toEqual([2]);
+  });
+  it('should apply changes to query-keyed lists', () => {
+    const adminsKey = getListKey({query: {role: 'admin'}});
+    const admins = [{id: 1, firstName: 'Olivier'}, {id: 2, firstName: 'Aurore'}];
+    const customInitialState = {...initialState, lists: {[adminsKey]: {items: admins}}};
+    const updateType = types[getActionTypeKey('update', {resourceName})];
+    const context = {id: 1, firstName: 'Olivia'};
+
+    const updatedState = reducers.update(customInitialState, {type: updateType, status: 'pending', context, optimisticId});
+    expect(getListItems(updatedState, adminsKey)).toEqual([context, admins[1]]);
+    const revertedState = reducers.update(updatedState, {type: updateType, status: 'rejected', context, optimisticId});
+    expect(getListItems(revertedState, adminsKey)).toEqual(admins);
+
+    const deleteType = types[getActionTypeKey('delete', {resourceName})];
+    const deletedState = reducers.delete(customInitialState, {type: deleteType, status: 'pending', context, optimisticId});
+    expect(getListItems(deletedState, adminsKey)).toEqual([admins[1]]);
+    const restoredState = reducers.delete(deletedState, {type: deleteType, status: 'rejected', context, optimisticId});
+    expect(getListItems(restoredState, adminsKey)).toEqual(admins);
+  });
+  it('should apply changes to query-keyed lists of a normalized state', () => {
+    const rootReducer = createRootReducer(defaultActions, {resourceName, normalize: true});
+    const fetchType = types[getActionTypeKey('fetch', {resourceName, isArray: true})];
+    const deleteType = types[getActionTypeKey('delete', {resourceName})];
+    const adminsKey = getListKey({query: {role: 'admin'}});
+    const admins = [{id: 1, firstName: 'Olivier'}, {id: 2, firstName: 'Aurore'}];
+    const context = {id: 1};
+    const fetchedState = rootReducer(undefined, {type: fetchType, status: 'resolved', listKey: adminsKey, body: admins});
+
+    const deletedState = rootReducer(fetchedState, {type: deleteType, status: 'pending', context, optimisticId});
+    expect(deletedState.lists[adminsKey].ids).toEqual([2]);
+    expect(getListItems(deletedState, adminsKey)).toEqual([admins[1]]);
+    const restoredState = rootReducer(deletedState, {type: deleteType, status: 'rejected', context, optimisticId});
+    expect(restoredState.byId).toEqual(fetchedState.byId);
+    expect(restoredState.allIds).toEqual([]);
+    expect(getListItems(restoredState, adminsKey)).toEqual(admins);
   });
 });
 
@@ -283,7 +938,7 @@ describe('rootReducer', () => {
     status = 'rejected';
     const rejectedAction = {type, status, context, err: {}, receivedAt};
     expect(rootReducer(pendingState, rejectedAction))
-      .toEqual({...initialState, isCreating: false});
+      .toEqual({...initialState, isCreating: false, createError: {code: null, body: null, message: undefined}});
   });
   it('should handle a custom action', () => {
     const customActions = {run: {method: 'POST', gerundName: 'running'}, merge: {method: 'POST', isArray: true}};
@@ -298,19 +953,151 @@ describe('rootReducer', () => {
     const pendingAction = {type, status, context};
     const pendingState = rootReducer(undefined, pendingAction);
     expect(pendingState)
-      .toEqual({...initialState, isRunning: true});
+      .toEqual({...initialState, isRunning: true, runError: null});
 
     status = 'resolved';
     const body = {id: 1, firstName: 'Olivier'};
     const receivedAt = Date.now();
     const resolvedAction = {type, status, context, body, receivedAt};
     expect(rootReducer(pendingState, resolvedAction))
-      .toEqual({...initialState, isRunning: false});
+      .toEqual({...initialState, isRunning: false, runError: null});
 
     status = 'rejected';
     const rejectedAction = {type, status, context, err: {}, receivedAt};
     expect(rootReducer(pendingState, rejectedAction))
-      .toEqual({...initialState, isRunning: false});
+      .toEqual({...initialState, isRunning: false, runError: {code: null, body: null, message: undefined}});
+  });
+  it('should handle a camel cased custom action', () => {
+    const customActions = {uploadAvatar: {method: 'POST', gerundName: 'uploadingAvatar'}};
+    const types = createTypes(customActions, {resourceName});
+    const rootReducer = createRootReducer(customActions, {resourceName});
+    const type = types[getActionTypeKey('uploadAvatar', {resourceName})];
+    expect(type).toEqual('@@resource/USER/UPLOAD_AVATAR');
+    expect(rootReducer(undefined, {type, status: 'pending', context: {}}).isUploadingAvatar).toBe(true);
+  });
+});
+
+describe('rootReducerOptions', () => {
+  describe('`normalize` option', () => {
+    const types = createTypes(defaultActions, {resourceName});
+    const rootReducer = createRootReducer(defaultActions, {resourceName, normalize: true});
+    const receivedAt = Date.now();
+    it('should return a normalized initial state', () => {
+      const state = rootReducer(undefined, {});
+      expect(state.byId).toEqual({});
+      expect(state.allIds).toEqual([]);
+      expect(state.items).toBe(undefined);
+      expect(getItems(state)).toEqual([]);
+    });
+    it('should handle FETCH action', () => {
+      const type = types[getActionTypeKey('fetch', {resourceName, isArray: true})];
+      const body = [{id: 1, firstName: 'Olivier'}, {id: 2, firstName: 'Aurore'}];
+      const state = rootReducer(undefined, {type, status: 'resolved', body, receivedAt});
+      expect(state.byId).toEqual({1: body[0], 2: body[1]});
+      expect(state.allIds).toEqual([1, 2]);
+      expect(getItems(state)).toEqual(body);
+    });
+    it('should handle CREATE, UPDATE and DELETE actions', () => {
+      const fetchType = types[getActionTypeKey('fetch', {resourceName, isArray: true})];
+      const createType = types[getActionTypeKey('create', {resourceName})];
+      const updateType = types[getActionTypeKey('update', {resourceName})];
+      const deleteType = types[getActionTypeKey('delete', {resourceName})];
+      const body = [{id: 1, firstName: 'Olivier'}];
+      let state = rootReducer(undefined, {type: fetchType, status: 'resolved', body, receivedAt});
+      state = rootReducer(state, {
+        type: createType,
+        status: 'resolved',
+        context: {},
+        body: {id: 2, firstName: 'Aurore'},
+        receivedAt
+      });
+      expect(state.allIds).toEqual([1, 2]);
+      state = rootReducer(state, {
+        type: updateType,
+        status: 'resolved',
+        context: {id: 1, firstName: 'Olivia'},
+        body: {},
+        receivedAt
+      });
+      expect(state.byId[1]).toEqual({id: 1, firstName: 'Olivia'});
+      state = rootReducer(state, {type: deleteType, status: 'resolved', context: {id: 2}, body: {}, receivedAt});
+      expect(state.byId).toEqual({1: {id: 1, firstName: 'Olivia'}});
+      expect(getItems(state)).toEqual([{id: 1, firstName: 'Olivia'}]);
+    });
+  });
+  describe('`parent` option', () => {
+    const types = createTypes(defaultActions, {resourceName: 'post'});
+    const fetchType = types[getActionTypeKey('fetch', {resourceName: 'post', isArray: true})];
+    const createType = types[getActionTypeKey('create', {resourceName: 'post'})];
+    const rootReducer = createRootReducer(defaultActions, {resourceName: 'post', parent: 'userId'});
+    const receivedAt = Date.now();
+    it('should return a parent-scoped initial state', () => {
+      expect(rootReducer(undefined, {})).toEqual({byParent: {}});
+    });
+    it('should keep a separate state for each parent', () => {
+      let state = rootReducer(undefined, {type: fetchType, status: 'resolved', parentId: 42, body: [{id: 1}], receivedAt});
+      state = rootReducer(state, {type: fetchType, status: 'resolved', parentId: 43, body: [{id: 2}], receivedAt});
+      expect(state.byParent[42]).toEqual({...initialState, items: [{id: 1}], didInvalidate: false, lastUpdated: receivedAt});
+      expect(state.byParent[43].items).toEqual([{id: 2}]);
+      state = rootReducer(state, {type: createType, status: 'resolved', context: {userId: 42}, body: {id: 3}, receivedAt});
+      expect(state.byParent[42].items).toEqual([{id: 1}, {id: 3}]);
+      expect(state.byParent[43].items).toEqual([{id: 2}]);
+      expect(rootReducer(state, {type: '@@resource/USER/FETCH', status: 'resolved', parentId: 42, body: []})).toBe(state);
+    });
+    it('should apply actions without any parent to every parent', () => {
+      let state = rootReducer(undefined, {type: fetchType, status: 'resolved', parentId: 42, body: [{id: 1}], receivedAt});
+      state = rootReducer(state, {type: fetchType, status: 'resolved', parentId: 43, body: [{id: 2}], receivedAt});
+      state = rootReducer(state, {type: fetchType, status: 'invalidated'});
+      expect(state.byParent[42].didInvalidate).toBe(true);
+      expect(state.byParent[43].didInvalidate).toBe(true);
+    });
+  });
+  describe('`idKey` option', () => {
+    const types = createTypes(defaultActions, {resourceName});
+    const fetchType = types[getActionTypeKey('fetch', {resourceName, isArray: true})];
+    const updateType = types[getActionTypeKey('update', {resourceName})];
+    const deleteType = types[getActionTypeKey('delete', {resourceName})];
+    const receivedAt = Date.now();
+    it('should support a custom key', () => {
+      const rootReducer = createRootReducer(defaultActions, {resourceName, idKey: '_id'});
+      const body = [{_id: 'a1', firstName: 'Olivier'}, {_id: 'b2', firstName: 'Aurore'}];
+      let state = rootReducer(undefined, {type: fetchType, status: 'resolved', body, receivedAt});
+      state = rootReducer(state, {
+        type: updateType,
+        status: 'resolved',
+        context: {_id: 'a1', firstName: 'Olivia'},
+        body: {},
+        receivedAt
+      });
+      expect(state.items).toEqual([{_id: 'a1', firstName: 'Olivia'}, body[1]]);
+      expect(state.statusById).toEqual({a1: {isUpdating: false}});
+      state = rootReducer(state, {type: deleteType, status: 'resolved', context: 'b2', body: null, receivedAt});
+      expect(state.items).toEqual([{_id: 'a1', firstName: 'Olivia'}]);
+    });
+    it('should support composite keys', () => {
+      const rootReducer = createRootReducer(defaultActions, {resourceName, idKey: ['tenantId', 'slug'], normalize: true});
+      const body = [{tenantId: 1, slug: 'home', title: 'Home'}, {tenantId: 2, slug: 'home', title: 'Accueil'}];
+      let state = rootReducer(undefined, {type: fetchType, status: 'resolved', body, receivedAt});
+      expect(state.allIds).toEqual(['[1,"home"]', '[2,"home"]']);
+      state = rootReducer(state, {
+        type: deleteType,
+        status: 'resolved',
+        context: {tenantId: 1, slug: 'home'},
+        body: null,
+        receivedAt
+      });
+      expect(getItems(state)).toEqual([body[1]]);
+    });
+    it('should support an id resolver', () => {
+      const idKey = item => `${item.tenantId}/${item.slug}`;
+      const rootReducer = createRootReducer(defaultActions, {resourceName, idKey});
+      const body = [{tenantId: 1, slug: 'home', title: 'Home'}];
+      let state = rootReducer(undefined, {type: fetchType, status: 'resolved', body, receivedAt});
+      const context = {tenantId: 1, slug: 'home', title: 'Welcome'};
+      state = rootReducer(state, {type: updateType, status: 'resolved', context, body: {}, receivedAt});
+      expect(state.items).toEqual([context]);
+      expect(Object.keys(state.statusById)).toEqual(['1/home']);
+    });
   });
 });
 
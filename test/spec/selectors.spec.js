@@ -0,0 +1,100 @@
+import expect from 'expect';
+
+import {initialState} from '../../src/defaults';
+import {getListKey} from '../../src/reducers';
+import {createSelectors} from '../../src/selectors';
+
+// Configuration
+const resourceName = 'user';
+
+describe('createSelectors', () => {
+  it('should return an object with properly named keys', () => {
+    const selectors = createSelectors({resourceName});
+    const expectedKeys = [
+      'selectState',
+      'selectAll',
+      'selectById',
+      'selectByQuery',
+      'selectIsFetching',
+      'selectError',
+      'selectStatusById'
+    ];
+    expect(Object.keys(selectors)).toEqual(expectedKeys);
+  });
+});
+
+describe('selectors', () => {
+  const items = [{id: 1, firstName: 'Olivier', role: 'admin'}, {id: 2, firstName: 'Aurore', role: 'guest'}];
+  const query = {role: 'admin'};
+  const listKey = getListKey({query});
+  const state = {
+    users: {
+      ...initialState,
+      items,
+      item: {id: 3, firstName: 'Jane'},
+      isFetching: true,
+      getError: {code: 404, body: null, message: 'HttpError'},
+      lists: {[listKey]: {items: [items[0]], isFetching: false}},
+      statusById: {1: {isUpdating: true, updateError: null}}
+    }
+  };
+  const selectors = createSelectors({resourceName});
+  it('should select all items', () => {
+    expect(selectors.selectAll(state)).toBe(items);
+  });
+  it('should select an item by id', () => {
+    expect(selectors.selectById(state, 2)).toBe(items[1]);
+    expect(selectors.selectById(state, 3)).toBe(state.users.item);
+    expect(selectors.selectById(state, 4)).toBe(undefined);
+  });
+  it('should select items by query', () => {
+    expect(selectors.selectByQuery(state, {query})).toEqual([items[0]]);
+    expect(selectors.selectByQuery(state, {query: {role: 'guest'}})).toEqual([]);
+  });
+  it('should select fetching flags', () => {
+    expect(selectors.selectIsFetching(state)).toBe(true);
+    expect(selectors.selectIsFetching(state, {query})).toBe(false);
+  });
+  it('should select errors', () => {
+    expect(selectors.selectError(state)).toBe(null);
+    expect(selectors.selectError(state, 'get')).toEqual({code: 404, body: null, message: 'HttpError'});
+  });
+  it('should select the status of an item', () => {
+    expect(selectors.selectStatusById(state, 1)).toEqual({isUpdating: true, updateError: null});
+    expect(selectors.selectStatusById(state, 2)).toBe(selectors.selectStatusById(state, 3));
+  });
+  it('should return stable references', () => {
+    const normalizedState = {users: {byId: {1: items[0], 2: items[1]}, allIds: [1, 2], lists: {[listKey]: {ids: [1]}}}};
+    const allItems = selectors.selectAll(normalizedState);
+    expect(allItems).toEqual(items);
+    expect(selectors.selectAll({...normalizedState, other: {}})).toBe(allItems);
+    const queriedItems = selectors.selectByQuery(normalizedState, {query});
+    expect(queriedItems).toEqual([items[0]]);
+    expect(selectors.selectByQuery({users: {...normalizedState.users}}, {query})).toBe(queriedItems);
+    const updatedState = {
+      users: {...normalizedState.users, byId: {...normalizedState.users.byId, 3: {id: 3}}, allIds: [1, 2, 3]}
+    };
+    expect(selectors.selectAll(updatedState)).not.toBe(allItems);
+  });
+  it('should support a custom `idKey` option', () => {
+    const pages = [{tenantId: 1, slug: 'home'}, {tenantId: 2, slug: 'home'}];
+    const customSelectors = createSelectors({resourceName: 'page', idKey: ['tenantId', 'slug']});
+    expect(customSelectors.selectById({pages: {items: pages}}, {tenantId: 2, slug: 'home'})).toBe(pages[1]);
+    expect(customSelectors.selectById({pages: {items: pages}}, '[1,"home"]')).toBe(pages[0]);
+  });
+  it('should support a `parent` option', () => {
+    const posts = [{id: 1, title: 'Hello'}];
+    const parentSelectors = createSelectors({resourceName: 'post', parent: 'userId'});
+    const parentState = {posts: {byParent: {42: {...initialState, items: posts}}}};
+    expect(parentSelectors.forParent(42)).toBe(parentSelectors.forParent(42));
+    expect(parentSelectors.forParent(42).selectAll(parentState)).toBe(posts);
+    expect(parentSelectors.forParent(42).selectById(parentState, 1)).toBe(posts[0]);
+    expect(parentSelectors.forParent(43).selectAll(parentState)).toEqual([]);
+  });
+  it('should support a custom `statePath` option', () => {
+    const customSelectors = createSelectors({resourceName, statePath: 'entities.people'});
+    expect(customSelectors.selectAll({entities: {people: {items}}})).toBe(items);
+    const functionSelectors = createSelectors({resourceName, statePath: rootState => rootState.people});
+    expect(functionSelectors.selectById({people: {items}}, 1)).toBe(items[0]);
+  });
+});
@@ -8,36 +8,36 @@ describe('createTypes', () => {
     it('should properly return an object with properly named keys', () => {
       const resourceName = 'user';
       const types = createTypes(defaultActions, {resourceName});
-      const expectedKeys = ['CREATE_USER', 'FETCH_USERS', 'GET_USER', 'UPDATE_USER', 'DELETE_USER'];
+      const expectedKeys = ['CREATE_USER', 'FETCH_USERS', 'GET_USER', 'UPDATE_USER', 'REPLACE_USER', 'DELETE_USER'];
       expect(Object.keys(types)).toEqual(expectedKeys);
-      const expectedValues = ['@@resource/USER/CREATE', '@@resource/USER/FETCH', '@@resource/USER/GET', '@@resource/USER/UPDATE', '@@resource/USER/DELETE'];
+      const expectedValues = ['@@resource/USER/CREATE', '@@resource/USER/FETCH', '@@resource/USER/GET', '@@resource/USER/UPDATE', '@@resource/USER/REPLACE', '@@resource/USER/DELETE'];
       expect(values(types)).toEqual(expectedValues);
     });
   });
   describe('when not using a resource', () => {
     it('should properly return an object with properly named keys', () => {
       const types = createTypes(defaultActions, {});
-      const expectedKeys = ['CREATE', 'FETCH', 'GET', 'UPDATE', 'DELETE'];
+      const expectedKeys = ['CREATE', 'FETCH', 'GET', 'UPDATE', 'REPLACE', 'DELETE'];
       expect(Object.keys(types)).toEqual(expectedKeys);
-      const expectedValues = ['CREATE', 'FETCH', 'GET', 'UPDATE', 'DELETE'];
+      const expectedValues = ['CREATE', 'FETCH', 'GET', 'UPDATE', 'REPLACE', 'DELETE'];
       expect(values(types)).toEqual(expectedValues);
     });
   });
   describe('when using a falsy scope', () => {
     it('should properly return an object with properly named keys', () => {
       const types = createTypes(defaultActions, {scope: false});
-      const expectedKeys = ['CREATE', 'FETCH', 'GET', 'UPDATE', 'DELETE'];
+      const expectedKeys = ['CREATE', 'FETCH', 'GET', 'UPDATE', 'REPLACE', 'DELETE'];
       expect(Object.keys(types)).toEqual(expectedKeys);
-      const expectedValues = ['CREATE', 'FETCH', 'GET', 'UPDATE', 'DELETE'];
+      const expectedValues = ['CREATE', 'FETCH', 'GET', 'UPDATE', 'REPLACE', 'DELETE'];
       expect(values(types)).toEqual(expectedValues);
     });
   });
   describe('when using a custom scope', () => {
     it('should properly return an object with properly named keys', () => {
       const types = createTypes(defaultActions, {scope: '@@custom/TEAM'});
-      const expectedKeys = ['CREATE', 'FETCH', 'GET', 'UPDATE', 'DELETE'];
+      const expectedKeys = ['CREATE', 'FETCH', 'GET', 'UPDATE', 'REPLACE', 'DELETE'];
       expect(Object.keys(types)).toEqual(expectedKeys);
-      const expectedValues = ['@@custom/TEAM/CREATE', '@@custom/TEAM/FETCH', '@@custom/TEAM/GET', '@@custom/TEAM/UPDATE', '@@custom/TEAM/DELETE'];
+      const expectedValues = ['@@custom/TEAM/CREATE', '@@custom/TEAM/FETCH', '@@custom/TEAM/GET', '@@custom/TEAM/UPDATE', '@@custom/TEAM/REPLACE', '@@custom/TEAM/DELETE'];
       expect(values(types)).toEqual(expectedValues);
     });
   });